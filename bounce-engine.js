@@ -0,0 +1,770 @@
+// @ts-check
+
+/**
+ * @typedef {'left'|'right'|'top'|'bottom'} Wall
+ */
+
+/**
+ * @typedef {Object} CollisionEvent
+ * @property {'wall'|'corner'} type - Whether one wall or two walls were hit at once
+ * @property {Wall[]} walls - The walls that were hit
+ * @property {number} x - Normalized X position where the collision was resolved
+ * @property {number} y - Normalized Y position where the collision was resolved
+ * @property {number} angleBefore - Angle in radians before the reflection
+ * @property {number} angleAfter - Angle in radians after the reflection
+ * @property {Obstacle} [obstacle] - The obstacle that was hit, walls are then the sides of the logo that touched it
+ */
+
+/**
+ * A rectangle inside the arena the logo bounces off like off the walls
+ * @typedef {Object} Obstacle
+ * @property {number} left - Normalized X of the left edge
+ * @property {number} right - Normalized X of the right edge
+ * @property {number} top - Normalized Y of the top edge
+ * @property {number} bottom - Normalized Y of the bottom edge
+ * @property {unknown} [source] - What the obstacle stands for, passed back in collisions
+ */
+
+/**
+ * Convex outline of the logo the walls, obstacles and other logos collide
+ * with, in place of its bounding box. Points are relative to the logo center
+ * as shares of the logo size, so the box is [-0.5, 0.5] × [-0.5, 0.5].
+ * @typedef {Array<{x: number, y: number}>} HitShape
+ */
+
+/**
+ * How far the logo reaches from its center on each side
+ * @typedef {Object} ShapeExtents
+ * @property {number} left - Offset of the leftmost point, zero or less
+ * @property {number} right - Offset of the rightmost point
+ * @property {number} top - Offset of the topmost point, zero or less
+ * @property {number} bottom - Offset of the bottommost point
+ */
+
+/**
+ * @typedef {Object} LogoCollisionEvent
+ * @property {'horizontal'|'vertical'} axis - Axis the two logos were pushed apart on
+ * @property {number} x - Normalized X position of the contact point
+ * @property {number} y - Normalized Y position of the contact point
+ */
+
+/**
+ * @typedef {Object} CenterBounds
+ * @property {number} minX - Smallest X the logo center can reach
+ * @property {number} maxX - Largest X the logo center can reach
+ * @property {number} minY - Smallest Y the logo center can reach
+ * @property {number} maxY - Largest Y the logo center can reach
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+/** Minimum pixels to move away from a wall after a hit to prevent getting stuck */
+export const MINIMUM_MOVEMENT = 1;
+
+/** Distance in pixels that still counts as touching a wall, absorbs rounding errors */
+const COLLISION_EPSILON = 1e-6;
+
+/**
+ * Normalize an angle to [0, 2π)
+ * @param {number} angle - Angle in radians
+ * @returns {number} Normalized angle in radians
+ */
+export function normalizeAngle(angle) {
+  const normalized = angle % TWO_PI;
+  return normalized < 0 ? normalized + TWO_PI : normalized;
+}
+
+/** Corners of the bounding box as a hit shape */
+const BOX_SHAPE = [
+  { x: -0.5, y: -0.5 },
+  { x: 0.5, y: -0.5 },
+  { x: 0.5, y: 0.5 },
+  { x: -0.5, y: 0.5 },
+];
+
+/**
+ * @typedef {Object} OutlineState
+ * @property {number} logoWidth - Logo width
+ * @property {number} logoHeight - Logo height
+ * @property {HitShape|null} [shape] - Outline of the logo, its box if omitted
+ * @property {number} [rotation] - Rotation of the logo in radians, clockwise on screen
+ */
+
+/**
+ * Get the outline of a logo relative to its center, turned with the logo
+ * @param {OutlineState} state - Logo size, hit shape and rotation
+ * @returns {Array<{x: number, y: number}>} Convex polygon in pixels
+ */
+export function outlinePoints(state) {
+  const { logoWidth, logoHeight, shape, rotation = 0 } = state;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  return (shape && shape.length > 0 ? shape : BOX_SHAPE).map((point) => {
+    const x = point.x * logoWidth;
+    const y = point.y * logoHeight;
+    return { x: x * cos - y * sin, y: x * sin + y * cos };
+  });
+}
+
+/**
+ * Get how far a logo reaches from its center, its box without a hit shape.
+ * A rotated logo reaches as far as the box around its turned outline.
+ * @param {OutlineState} state - Logo size, hit shape and rotation
+ * @returns {ShapeExtents} Offsets in pixels
+ */
+export function shapeExtents(state) {
+  const { logoWidth, logoHeight, shape, rotation = 0 } = state;
+  if ((!shape || shape.length === 0) && rotation === 0) {
+    return {
+      left: -logoWidth / 2,
+      right: logoWidth / 2,
+      top: -logoHeight / 2,
+      bottom: logoHeight / 2,
+    };
+  }
+
+  const points = outlinePoints(state);
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return {
+    left: Math.min(...xs),
+    right: Math.max(...xs),
+    top: Math.min(...ys),
+    bottom: Math.max(...ys),
+  };
+}
+
+/**
+ * Check whether a position moving along one axis hits one of its walls
+ * @param {number} position - Position on the axis
+ * @param {number} direction - Direction (or velocity) on the axis
+ * @param {number} min - Smallest reachable position
+ * @param {number} max - Largest reachable position
+ * @param {number} tolerance - Distance from the wall that still counts as a hit
+ * @returns {-1|0|1} -1 for the min wall, 1 for the max wall, 0 for no hit
+ */
+function hitWall(position, direction, min, max, tolerance) {
+  if (min >= max) return 0;
+  if (direction < 0 && position <= min + tolerance) return -1;
+  if (direction > 0 && position >= max - tolerance) return 1;
+  return 0;
+}
+
+/**
+ * Time until a position moving along one axis reaches one of its walls
+ * @param {number} position - Position on the axis
+ * @param {number} velocity - Velocity on the axis
+ * @param {number} min - Smallest reachable position
+ * @param {number} max - Largest reachable position
+ * @returns {number} Time in seconds, or Infinity if no wall is reached
+ */
+function timeToWall(position, velocity, min, max) {
+  if (min >= max || velocity === 0) return Infinity;
+  return ((velocity > 0 ? max : min) - position) / velocity;
+}
+
+/**
+ * Time until a point moving in a straight line enters a box
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} vx - X velocity
+ * @param {number} vy - Y velocity
+ * @param {{left: number, right: number, top: number, bottom: number}} box - The box
+ * @returns {number} Time in seconds, 0 when already inside, Infinity if the box is missed
+ */
+function timeToBox(x, y, vx, vy, box) {
+  let enter = -Infinity;
+  let exit = Infinity;
+
+  for (const [position, velocity, min, max] of /** @type {const} */ ([
+    [x, vx, box.left, box.right],
+    [y, vy, box.top, box.bottom],
+  ])) {
+    if (velocity === 0) {
+      // Sliding along an edge does not enter the box
+      if (position <= min || position >= max) return Infinity;
+      continue;
+    }
+    const t1 = (min - position) / velocity;
+    const t2 = (max - position) / velocity;
+    enter = Math.max(enter, Math.min(t1, t2));
+    exit = Math.min(exit, Math.max(t1, t2));
+  }
+
+  // Only touching a corner or edge, or the box is behind
+  if (enter >= exit || exit <= 0) return Infinity;
+  return Math.max(0, enter);
+}
+
+/**
+ * DOM-free physics for a logo bouncing inside a rectangular arena.
+ * Coordinates are normalized with (0,0) at the center of the arena.
+ */
+class BounceEngine {
+  /**
+   * @param {Object} options - Initial engine state
+   * @param {number} [options.x=0] - Normalized X position of the logo center
+   * @param {number} [options.y=0] - Normalized Y position of the logo center
+   * @param {number} [options.angle=0] - Direction of travel in radians
+   * @param {number} [options.speed=0] - Speed in pixels per second
+   * @param {number} [options.width=0] - Arena width
+   * @param {number} [options.height=0] - Arena height
+   * @param {number} [options.logoWidth=0] - Logo width
+   * @param {number} [options.logoHeight=0] - Logo height
+   * @param {number} [options.minimumMovement=MINIMUM_MOVEMENT] - Pixels to move away from a wall after a hit
+   * @param {number} [options.cornerTolerance=0] - Pixels from the second wall that still count as a corner hit
+   * @param {Obstacle[]} [options.obstacles=[]] - Rectangles inside the arena to bounce off
+   * @param {HitShape|null} [options.shape=null] - Outline to collide with, the bounding box if omitted
+   * @param {number} [options.rotation=0] - Rotation of the logo in radians
+   */
+  constructor(options = {}) {
+    const {
+      x = 0,
+      y = 0,
+      angle = 0,
+      speed = 0,
+      width = 0,
+      height = 0,
+      logoWidth = 0,
+      logoHeight = 0,
+      minimumMovement = MINIMUM_MOVEMENT,
+      cornerTolerance = 0,
+      obstacles = [],
+      shape = null,
+      rotation = 0,
+    } = options;
+
+    // Position and motion
+    this.x = x;
+    this.y = y;
+    this.angle = normalizeAngle(angle);
+    this.speed = speed;
+
+    // Arena and logo size
+    this.width = width;
+    this.height = height;
+    this.logoWidth = logoWidth;
+    this.logoHeight = logoHeight;
+
+    this.minimumMovement = minimumMovement;
+    this.cornerTolerance = cornerTolerance;
+
+    /** @type {Obstacle[]} */
+    this.obstacles = obstacles;
+
+    /** @type {HitShape|null} */
+    this.shape = shape;
+    this.rotation = rotation;
+  }
+
+  /**
+   * Set the arena size
+   * @param {number} width - Arena width
+   * @param {number} height - Arena height
+   */
+  setBounds(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Set the logo size
+   * @param {number} width - Logo width
+   * @param {number} height - Logo height
+   */
+  setLogoSize(width, height) {
+    this.logoWidth = width;
+    this.logoHeight = height;
+  }
+
+  /**
+   * Replace the obstacles inside the arena
+   * @param {Obstacle[]} obstacles - The obstacles
+   */
+  setObstacles(obstacles) {
+    this.obstacles = obstacles;
+  }
+
+  /**
+   * Replace the outline the logo collides with
+   * @param {HitShape|null} shape - The outline, null for the bounding box
+   */
+  setShape(shape) {
+    this.shape = shape;
+  }
+
+  /**
+   * Turn the logo, its outline turns with it
+   * @param {number} radians - Rotation in radians, clockwise on screen
+   */
+  setRotation(radians) {
+    this.rotation = radians;
+  }
+
+  /**
+   * Get the outline of the logo at its current position and rotation
+   * @returns {Array<{x: number, y: number}>} Convex polygon in normalized coordinates
+   */
+  getHull() {
+    return outlinePoints(this).map((point) => ({
+      x: this.x + point.x,
+      y: this.y + point.y,
+    }));
+  }
+
+  /**
+   * Get the range the logo center cannot enter for an obstacle
+   * @param {Obstacle} obstacle - The obstacle
+   * @returns {{left: number, right: number, top: number, bottom: number}} Box in normalized coordinates
+   */
+  getObstacleBox(obstacle) {
+    const extents = shapeExtents(this);
+    return {
+      left: obstacle.left - extents.right,
+      right: obstacle.right - extents.left,
+      top: obstacle.top - extents.bottom,
+      bottom: obstacle.bottom - extents.top,
+    };
+  }
+
+  /**
+   * Set the logo center position
+   * @param {number} x - Normalized X position
+   * @param {number} y - Normalized Y position
+   */
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Get the range the logo center can move in without overlapping a wall
+   * @returns {CenterBounds} Center bounds in normalized coordinates
+   */
+  getBounds() {
+    const extents = shapeExtents(this);
+    return {
+      minX: -this.width / 2 - extents.left,
+      maxX: this.width / 2 - extents.right,
+      minY: -this.height / 2 - extents.top,
+      maxY: this.height / 2 - extents.bottom,
+    };
+  }
+
+  /**
+   * Get the point where the current path reaches the edge of the arena
+   * @returns {{x: number, y: number}} Target in normalized coordinates
+   */
+  getTarget() {
+    const dx = Math.cos(this.angle);
+    const dy = Math.sin(this.angle);
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+
+    // Time (in path length) to reach the vertical and horizontal borders
+    const tx =
+      dx !== 0 ? ((dx > 0 ? halfWidth : -halfWidth) - this.x) / dx : Infinity;
+    const ty =
+      dy !== 0 ? ((dy > 0 ? halfHeight : -halfHeight) - this.y) / dy : Infinity;
+    const t = Math.max(0, Math.min(tx, ty));
+
+    if (!Number.isFinite(t)) return { x: this.x, y: this.y };
+
+    return {
+      x: this.x + dx * t,
+      y: this.y + dy * t,
+    };
+  }
+
+  /**
+   * Predict how long until the logo reaches a wall or obstacle on its current path
+   * @returns {number} Time in seconds, or Infinity if it never will
+   */
+  timeToCollision() {
+    const { minX, maxX, minY, maxY } = this.getBounds();
+    const vx = Math.cos(this.angle) * this.speed;
+    const vy = Math.sin(this.angle) * this.speed;
+
+    let time = Math.min(
+      timeToWall(this.x, vx, minX, maxX),
+      timeToWall(this.y, vy, minY, maxY)
+    );
+    for (const obstacle of this.obstacles) {
+      time = Math.min(
+        time,
+        timeToBox(this.x, this.y, vx, vy, this.getObstacleBox(obstacle))
+      );
+    }
+
+    return Math.max(0, time);
+  }
+
+  /**
+   * Advance the logo along its path and resolve wall collisions
+   * @param {number} dt - Elapsed time in seconds (0 only resolves collisions at the current position)
+   * @returns {CollisionEvent[]} Collisions that happened during this step
+   */
+  step(dt) {
+    this.angle = normalizeAngle(this.angle);
+
+    if (dt > 0) {
+      this.x += Math.cos(this.angle) * this.speed * dt;
+      this.y += Math.sin(this.angle) * this.speed * dt;
+    }
+
+    return this.resolveCollisions();
+  }
+
+  /**
+   * Reflect the logo off any wall or obstacle it moves into
+   * @returns {CollisionEvent[]} Collisions at the current position
+   */
+  resolveCollisions() {
+    const collisions = this.resolveWallCollisions();
+    for (const obstacle of this.obstacles) {
+      const collision = this.resolveObstacleCollision(obstacle);
+      if (collision) collisions.push(collision);
+    }
+    return collisions;
+  }
+
+  /**
+   * Keep the logo inside the arena and reflect it off any wall it moves into
+   * @returns {CollisionEvent[]} Collisions at the current position
+   */
+  resolveWallCollisions() {
+    const { minX, maxX, minY, maxY } = this.getBounds();
+    const angleBefore = this.angle;
+    let dx = Math.cos(this.angle);
+    let dy = Math.sin(this.angle);
+
+    /** @type {Wall[]} */
+    const walls = [];
+
+    // A logo at least as large as the arena on an axis has no room to move,
+    // so it is pinned to the center instead of hitting both walls
+    this.x = minX >= maxX ? 0 : Math.min(Math.max(this.x, minX), maxX);
+    this.y = minY >= maxY ? 0 : Math.min(Math.max(this.y, minY), maxY);
+
+    let hitX = hitWall(this.x, dx, minX, maxX, COLLISION_EPSILON);
+    let hitY = hitWall(this.y, dy, minY, maxY, COLLISION_EPSILON);
+
+    // A near miss on the other axis still counts as a corner hit
+    if (hitX && !hitY) {
+      hitY = hitWall(this.y, dy, minY, maxY, this.cornerTolerance);
+    } else if (hitY && !hitX) {
+      hitX = hitWall(this.x, dx, minX, maxX, this.cornerTolerance);
+    }
+
+    if (hitX) {
+      this.x = hitX < 0 ? minX : maxX;
+      dx = -dx;
+      walls.push(hitX < 0 ? 'left' : 'right');
+    }
+
+    if (hitY) {
+      this.y = hitY < 0 ? minY : maxY;
+      dy = -dy;
+      walls.push(hitY < 0 ? 'top' : 'bottom');
+    }
+
+    // Walls the logo overlaps but already moves away from are not hits
+    if (walls.length === 0) return [];
+
+    this.angle = normalizeAngle(Math.atan2(dy, dx));
+
+    // Move slightly away from the wall to prevent sticking
+    this.x += Math.cos(this.angle) * this.minimumMovement;
+    this.y += Math.sin(this.angle) * this.minimumMovement;
+    if (minX >= maxX) this.x = 0;
+    if (minY >= maxY) this.y = 0;
+
+    return [
+      {
+        type: walls.length > 1 ? 'corner' : 'wall',
+        walls,
+        x: this.x,
+        y: this.y,
+        angleBefore,
+        angleAfter: this.angle,
+      },
+    ];
+  }
+
+  /**
+   * Push the logo out of an obstacle and reflect it off the sides it moves
+   * into, with the same corner rules as the walls
+   * @param {Obstacle} obstacle - The obstacle
+   * @returns {CollisionEvent|null} The collision, or null if the logo is clear of it
+   */
+  resolveObstacleCollision(obstacle) {
+    const box = this.getObstacleBox(obstacle);
+    const isInside =
+      this.x > box.left - COLLISION_EPSILON &&
+      this.x < box.right + COLLISION_EPSILON &&
+      this.y > box.top - COLLISION_EPSILON &&
+      this.y < box.bottom + COLLISION_EPSILON;
+    if (!isInside) return null;
+
+    const angleBefore = this.angle;
+    let dx = Math.cos(this.angle);
+    let dy = Math.sin(this.angle);
+
+    // Treat tiny components as zero, cos(π/2) is not exactly 0
+    const directionX = Math.abs(dx) < COLLISION_EPSILON ? 0 : Math.sign(dx);
+    const directionY = Math.abs(dy) < COLLISION_EPSILON ? 0 : Math.sign(dy);
+
+    // Leave through the nearest side, the way the overlap came about
+    const depthLeft = this.x - box.left;
+    const depthRight = box.right - this.x;
+    const depthTop = this.y - box.top;
+    const depthBottom = box.bottom - this.y;
+    const depthX = Math.min(depthLeft, depthRight);
+    const depthY = Math.min(depthTop, depthBottom);
+    const exitX = depthLeft <= depthRight ? -1 : 1;
+    const exitY = depthTop <= depthBottom ? -1 : 1;
+
+    const isAxisX = depthX <= depthY;
+    if (isAxisX) {
+      this.x = exitX < 0 ? box.left : box.right;
+    } else {
+      this.y = exitY < 0 ? box.top : box.bottom;
+    }
+
+    // Only moving into the side is a hit, like walls the logo already moves away from
+    let hitX = isAxisX && directionX === -exitX;
+    let hitY = !isAxisX && directionY === -exitY;
+
+    // Just past the other side still counts as a corner hit
+    const tolerance = Math.max(this.cornerTolerance, COLLISION_EPSILON);
+    if (hitX && directionY === -exitY && depthY <= tolerance) hitY = true;
+    if (hitY && directionX === -exitX && depthX <= tolerance) hitX = true;
+
+    if (!hitX && !hitY) return null;
+
+    /** @type {Wall[]} */
+    const walls = [];
+    if (hitX) {
+      walls.push(directionX < 0 ? 'left' : 'right');
+      dx = -dx;
+    }
+    if (hitY) {
+      walls.push(directionY < 0 ? 'top' : 'bottom');
+      dy = -dy;
+    }
+
+    this.angle = normalizeAngle(Math.atan2(dy, dx));
+
+    // Move slightly away from the obstacle to prevent sticking
+    this.x += Math.cos(this.angle) * this.minimumMovement;
+    this.y += Math.sin(this.angle) * this.minimumMovement;
+
+    return {
+      type: walls.length > 1 ? 'corner' : 'wall',
+      walls,
+      x: this.x,
+      y: this.y,
+      angleBefore,
+      angleAfter: this.angle,
+      obstacle,
+    };
+  }
+}
+
+/**
+ * Push two overlapping logos apart along a normal and let them exchange
+ * momentum along it, with a mass proportional to their area. A fixed logo
+ * stands still like a wall and the other one takes the whole push and bounce.
+ * @param {BounceEngine} a - First logo
+ * @param {BounceEngine} b - Second logo
+ * @param {number} normalX - X of the unit normal pointing from a to b
+ * @param {number} normalY - Y of the unit normal pointing from a to b
+ * @param {number} penetration - Distance to push apart along the normal
+ * @param {boolean} fixedA - Whether the first logo stands still
+ * @param {boolean} fixedB - Whether the second logo stands still
+ * @returns {boolean} Whether the logos were moving towards each other and bounced
+ */
+function bounceApart(a, b, normalX, normalY, penetration, fixedA, fixedB) {
+  const massA = Math.max(a.logoWidth * a.logoHeight, 1);
+  const massB = Math.max(b.logoWidth * b.logoHeight, 1);
+
+  // Share of the push and the bounce each logo takes, the lighter one moves further
+  const shareA = fixedA ? 0 : fixedB ? 1 : massB / (massA + massB);
+  const shareB = fixedB ? 0 : 1 - shareA;
+
+  a.x -= normalX * penetration * shareA;
+  a.y -= normalY * penetration * shareA;
+  b.x += normalX * penetration * shareB;
+  b.y += normalY * penetration * shareB;
+
+  let vax = fixedA ? 0 : Math.cos(a.angle) * a.speed;
+  let vay = fixedA ? 0 : Math.sin(a.angle) * a.speed;
+  let vbx = fixedB ? 0 : Math.cos(b.angle) * b.speed;
+  let vby = fixedB ? 0 : Math.sin(b.angle) * b.speed;
+
+  // Logos that already move apart only needed the overlap fixed
+  const approach = (vbx - vax) * normalX + (vby - vay) * normalY;
+  if (approach >= 0) return false;
+
+  vax += 2 * shareA * approach * normalX;
+  vay += 2 * shareA * approach * normalY;
+  vbx -= 2 * shareB * approach * normalX;
+  vby -= 2 * shareB * approach * normalY;
+
+  if (!fixedA) {
+    a.speed = Math.hypot(vax, vay);
+    if (a.speed > 0) a.angle = normalizeAngle(Math.atan2(vay, vax));
+  }
+  if (!fixedB) {
+    b.speed = Math.hypot(vbx, vby);
+    if (b.speed > 0) b.angle = normalizeAngle(Math.atan2(vby, vbx));
+  }
+  return true;
+}
+
+/**
+ * Project a polygon onto an axis
+ * @param {Array<{x: number, y: number}>} polygon - The polygon
+ * @param {number} axisX - X of the unit axis
+ * @param {number} axisY - Y of the unit axis
+ * @returns {{min: number, max: number}} Range covered on the axis
+ */
+function project(polygon, axisX, axisY) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const point of polygon) {
+    const position = point.x * axisX + point.y * axisY;
+    min = Math.min(min, position);
+    max = Math.max(max, position);
+  }
+  return { min, max };
+}
+
+/**
+ * Find the point of a polygon furthest along a direction
+ * @param {Array<{x: number, y: number}>} polygon - The polygon, not empty
+ * @param {number} directionX - X of the direction
+ * @param {number} directionY - Y of the direction
+ * @returns {{x: number, y: number}} The point
+ */
+function furthestPoint(polygon, directionX, directionY) {
+  return polygon.reduce((furthest, point) =>
+    point.x * directionX + point.y * directionY >
+    furthest.x * directionX + furthest.y * directionY
+      ? point
+      : furthest
+  );
+}
+
+/**
+ * Find the shortest way to separate two convex polygons. Convex polygons
+ * overlap unless one of their edge normals separates them.
+ * @param {Array<{x: number, y: number}>} a - First polygon
+ * @param {Array<{x: number, y: number}>} b - Second polygon
+ * @returns {{normalX: number, normalY: number, penetration: number}|null} Unit normal from a to b and the distance to move b along it, or null if they do not overlap
+ */
+function separatePolygons(a, b) {
+  /** @type {{normalX: number, normalY: number, penetration: number}|null} */
+  let best = null;
+
+  for (const polygon of [a, b]) {
+    for (let i = 0; i < polygon.length; i++) {
+      const from = /** @type {{x: number, y: number}} */ (polygon[i]);
+      const to = /** @type {{x: number, y: number}} */ (
+        polygon[(i + 1) % polygon.length]
+      );
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      if (length === 0) continue;
+
+      const axisX = (to.y - from.y) / length;
+      const axisY = -(to.x - from.x) / length;
+      const rangeA = project(a, axisX, axisY);
+      const rangeB = project(b, axisX, axisY);
+
+      // Moving b forward or backward along the axis, whichever is shorter
+      const forward = rangeA.max - rangeB.min;
+      const backward = rangeB.max - rangeA.min;
+      if (forward <= 0 || backward <= 0) return null;
+
+      const penetration = Math.min(forward, backward);
+      if (!best || penetration < best.penetration) {
+        const sign = forward <= backward ? 1 : -1;
+        best = { normalX: sign * axisX, normalY: sign * axisY, penetration };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Bounce two logos with hit shapes off each other
+ * @param {BounceEngine} a - First logo
+ * @param {BounceEngine} b - Second logo
+ * @param {boolean} fixedA - Whether the first logo stands still
+ * @param {boolean} fixedB - Whether the second logo stands still
+ * @returns {LogoCollisionEvent|null} The collision, or null if the logos do not collide
+ */
+function resolveHullCollision(a, b, fixedA, fixedB) {
+  const separation = separatePolygons(a.getHull(), b.getHull());
+  if (!separation) return null;
+
+  const { normalX, normalY, penetration } = separation;
+  if (!bounceApart(a, b, normalX, normalY, penetration, fixedA, fixedB)) return null;
+
+  // The outlines now touch between their points furthest towards each other
+  const pointA = furthestPoint(a.getHull(), normalX, normalY);
+  const pointB = furthestPoint(b.getHull(), -normalX, -normalY);
+  return {
+    axis: Math.abs(normalX) >= Math.abs(normalY) ? 'horizontal' : 'vertical',
+    x: (pointA.x + pointB.x) / 2,
+    y: (pointA.y + pointB.y) / 2,
+  };
+}
+
+/**
+ * Resolve an elastic collision between two logos treated as boxes with a
+ * mass proportional to their area. Overlapping logos are pushed apart along
+ * the axis of least penetration and exchange momentum along that axis.
+ * Logos with a hit shape or a rotation collide with their outlines instead.
+ * @param {BounceEngine} a - First logo
+ * @param {BounceEngine} b - Second logo
+ * @param {Object} [options] - Collision options
+ * @param {boolean} [options.fixedA=false] - The first logo stands still, like a paused or held one
+ * @param {boolean} [options.fixedB=false] - The second logo stands still
+ * @returns {LogoCollisionEvent|null} The collision, or null if the logos do not collide
+ */
+export function resolveLogoCollision(a, b, options = {}) {
+  const { fixedA = false, fixedB = false } = options;
+  if (fixedA && fixedB) return null;
+
+  if (a.shape || b.shape || a.rotation || b.rotation) {
+    return resolveHullCollision(a, b, fixedA, fixedB);
+  }
+
+  const overlapX = (a.logoWidth + b.logoWidth) / 2 - Math.abs(b.x - a.x);
+  const overlapY = (a.logoHeight + b.logoHeight) / 2 - Math.abs(b.y - a.y);
+  if (overlapX <= 0 || overlapY <= 0) return null;
+
+  const horizontal = overlapX < overlapY;
+  const normalX = horizontal ? (b.x >= a.x ? 1 : -1) : 0;
+  const normalY = horizontal ? 0 : b.y >= a.y ? 1 : -1;
+  const penetration = horizontal ? overlapX : overlapY;
+
+  if (!bounceApart(a, b, normalX, normalY, penetration, fixedA, fixedB)) return null;
+
+  // Contact point on the touching edges, centered on their shared span
+  const halfA = horizontal ? a.logoWidth / 2 : a.logoHeight / 2;
+  if (horizontal) {
+    const top = Math.max(a.y - a.logoHeight / 2, b.y - b.logoHeight / 2);
+    const bottom = Math.min(a.y + a.logoHeight / 2, b.y + b.logoHeight / 2);
+    return { axis: 'horizontal', x: a.x + normalX * halfA, y: (top + bottom) / 2 };
+  }
+
+  const left = Math.max(a.x - a.logoWidth / 2, b.x - b.logoWidth / 2);
+  const right = Math.min(a.x + a.logoWidth / 2, b.x + b.logoWidth / 2);
+  return { axis: 'vertical', x: (left + right) / 2, y: a.y + normalY * halfA };
+}
+
+export default BounceEngine;
@@ -0,0 +1,559 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import BounceEngine, {
+  MINIMUM_MOVEMENT,
+  normalizeAngle,
+  resolveLogoCollision,
+} from './bounce-engine.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Create an 800x600 arena with a 100x50 logo, so the center moves in [-350, 350] × [-275, 275]
+ * @param {Object} [options] - Overrides for the engine options
+ * @returns {BounceEngine}
+ */
+function createEngine(options = {}) {
+  return new BounceEngine({
+    width: 800,
+    height: 600,
+    logoWidth: 100,
+    logoHeight: 50,
+    speed: 100,
+    ...options,
+  });
+}
+
+describe('normalizeAngle', () => {
+  test('wraps angles into [0, 2π)', () => {
+    expect(normalizeAngle(-Math.PI / 2)).toBeCloseTo((3 * Math.PI) / 2);
+    expect(normalizeAngle(5 * Math.PI)).toBeCloseTo(Math.PI);
+    expect(normalizeAngle(0)).toBe(0);
+  });
+});
+
+describe('BounceEngine movement', () => {
+  test('moves in a straight line without collisions', () => {
+    const engine = createEngine({ angle: 0 });
+    expect(engine.step(1)).toEqual([]);
+    expect(engine.x).toBeCloseTo(100);
+    expect(engine.y).toBeCloseTo(0);
+  });
+
+  test('computes the target on the arena edge', () => {
+    const engine = createEngine({ angle: 45 * DEG });
+    const target = engine.getTarget();
+    expect(target.x).toBeCloseTo(300);
+    expect(target.y).toBeCloseTo(300);
+  });
+
+  test('computes the target for axis-aligned paths', () => {
+    const engine = createEngine({ angle: 90 * DEG });
+    const target = engine.getTarget();
+    expect(target.x).toBeCloseTo(0);
+    expect(target.y).toBeCloseTo(300);
+  });
+});
+
+describe('BounceEngine wall reflection', () => {
+  test('reflects off the right wall', () => {
+    const engine = createEngine({ x: 340, angle: 30 * DEG });
+    const [collision, ...rest] = engine.step(0.2);
+
+    expect(rest).toEqual([]);
+    expect(collision?.type).toBe('wall');
+    expect(collision?.walls).toEqual(['right']);
+    expect(collision?.angleBefore).toBeCloseTo(30 * DEG);
+    expect(engine.angle).toBeCloseTo(150 * DEG);
+    expect(engine.x).toBeLessThan(350);
+  });
+
+  test('reflects off the top wall', () => {
+    const engine = createEngine({ y: -270, angle: -60 * DEG });
+    const [collision] = engine.step(0.1);
+
+    expect(collision?.walls).toEqual(['top']);
+    expect(engine.angle).toBeCloseTo(60 * DEG);
+  });
+
+  test('clamps a large step back inside the arena', () => {
+    const engine = createEngine({ angle: 0 });
+    engine.step(60);
+
+    expect(engine.x).toBeLessThanOrEqual(350);
+    expect(engine.x).toBeGreaterThanOrEqual(350 - MINIMUM_MOVEMENT - 1e-9);
+  });
+});
+
+describe('BounceEngine corner hits', () => {
+  test('reverses direction when both walls are hit at once', () => {
+    const engine = createEngine({ x: 345, y: 270, angle: 45 * DEG });
+    const [collision] = engine.step(0.1);
+
+    expect(collision?.type).toBe('corner');
+    expect(collision?.walls).toEqual(['right', 'bottom']);
+    expect(engine.angle).toBeCloseTo(225 * DEG);
+  });
+
+  test('reports a corner for every corner of the arena', () => {
+    /** @type {Array<[number, number, number, import('./bounce-engine.js').Wall[]]>} */
+    const corners = [
+      [-345, -270, 225, ['left', 'top']],
+      [345, -270, 315, ['right', 'top']],
+      [-345, 270, 135, ['left', 'bottom']],
+      [345, 270, 45, ['right', 'bottom']],
+    ];
+
+    for (const [x, y, angle, walls] of corners) {
+      const engine = createEngine({ x, y, angle: angle * DEG });
+      const [collision] = engine.step(0.1);
+      expect(collision?.type).toBe('corner');
+      expect(collision?.walls).toEqual(walls);
+    }
+  });
+
+  test('adjacent walls hit on consecutive steps are not a corner', () => {
+    const engine = createEngine({ x: 345, y: 250, angle: 45 * DEG });
+    const first = engine.step(0.1);
+    expect(first[0]?.type).toBe('wall');
+    expect(first[0]?.walls).toEqual(['right']);
+
+    const second = engine.step(0.5);
+    expect(second[0]?.type).toBe('wall');
+    expect(second[0]?.walls).toEqual(['bottom']);
+  });
+});
+
+describe('BounceEngine grazing hits', () => {
+  test('reflects a shallow hit and keeps the horizontal direction', () => {
+    const engine = createEngine({ y: 274.9, angle: 1 * DEG });
+    const [collision] = engine.step(0.1);
+
+    expect(collision?.walls).toEqual(['bottom']);
+    expect(engine.angle).toBeCloseTo(359 * DEG);
+    expect(Math.cos(engine.angle)).toBeGreaterThan(0);
+  });
+
+  test('sliding along a wall is not a collision', () => {
+    const engine = createEngine({ y: 275, angle: 0 });
+    for (let i = 0; i < 10; i++) {
+      expect(engine.step(0.1)).toEqual([]);
+    }
+    expect(engine.angle).toBe(0);
+    expect(engine.y).toBe(275);
+  });
+});
+
+describe('BounceEngine with a logo larger than the viewport', () => {
+  test('pins the logo to the center without collisions', () => {
+    const engine = createEngine({
+      logoWidth: 1000,
+      logoHeight: 700,
+      angle: 30 * DEG,
+    });
+
+    for (let i = 0; i < 10; i++) {
+      expect(engine.step(0.5)).toEqual([]);
+    }
+    expect(engine.x).toBe(0);
+    expect(engine.y).toBe(0);
+    expect(engine.angle).toBeCloseTo(30 * DEG);
+  });
+
+  test('still bounces on the axis that has room', () => {
+    const engine = createEngine({ logoWidth: 1000, y: 270, angle: 60 * DEG });
+    const [collision] = engine.step(0.1);
+
+    expect(collision?.type).toBe('wall');
+    expect(collision?.walls).toEqual(['bottom']);
+    expect(engine.x).toBe(0);
+    expect(engine.angle).toBeCloseTo(300 * DEG);
+  });
+});
+
+describe('BounceEngine stuck-on-wall regressions', () => {
+  test('moves at least MINIMUM_MOVEMENT away from the wall after a hit', () => {
+    const engine = createEngine({ x: -350, angle: 180 * DEG });
+    const [collision] = engine.step(0);
+
+    expect(collision?.walls).toEqual(['left']);
+    expect(engine.x).toBeCloseTo(-350 + MINIMUM_MOVEMENT);
+  });
+
+  test('does not flip direction while overlapping a wall it moves away from', () => {
+    const engine = createEngine({ x: -380, angle: -30 * DEG, speed: 1 });
+
+    for (let i = 0; i < 20; i++) {
+      expect(engine.step(1 / 60)).toEqual([]);
+      expect(engine.angle).toBeCloseTo(330 * DEG);
+    }
+  });
+
+  test('reflects only once when detected deep inside a wall', () => {
+    const engine = createEngine({ x: 420, angle: 20 * DEG, speed: 10 });
+
+    expect(engine.step(0)).toHaveLength(1);
+    for (let i = 0; i < 20; i++) {
+      expect(engine.step(1 / 60)).toEqual([]);
+    }
+    expect(engine.angle).toBeCloseTo(160 * DEG);
+    expect(engine.x).toBeLessThan(350);
+  });
+
+  test('keeps working when the measured position never changes', () => {
+    const engine = createEngine({ angle: 0, speed: 0 });
+    engine.setPosition(350, 0);
+
+    expect(engine.step(0)).toHaveLength(1);
+    engine.setPosition(350, 0);
+    expect(engine.step(0)).toEqual([]);
+    expect(engine.angle).toBeCloseTo(Math.PI);
+  });
+});
+
+describe('BounceEngine collision prediction', () => {
+  test('predicts the time until the next wall', () => {
+    const engine = createEngine({ angle: 0 });
+    expect(engine.timeToCollision()).toBeCloseTo(3.5);
+  });
+
+  test('predicts the nearer of the two walls on a diagonal path', () => {
+    const engine = createEngine({ x: 300, angle: 45 * DEG });
+    expect(engine.timeToCollision()).toBeCloseTo(50 / (100 * Math.SQRT1_2));
+  });
+
+  test('predicts an immediate collision when already past a wall', () => {
+    const engine = createEngine({ x: 400, angle: 0 });
+    expect(engine.timeToCollision()).toBe(0);
+  });
+
+  test('never predicts a collision when standing still or pinned', () => {
+    expect(createEngine({ speed: 0 }).timeToCollision()).toBe(Infinity);
+    expect(
+      createEngine({ logoWidth: 1000, angle: 0 }).timeToCollision()
+    ).toBe(Infinity);
+  });
+
+  test('lands exactly on the wall at the predicted time', () => {
+    const engine = createEngine({ x: 12.3, y: -45.6, angle: 73 * DEG });
+    const [collision] = engine.step(engine.timeToCollision());
+
+    expect(collision?.walls).toEqual(['bottom']);
+  });
+});
+
+describe('BounceEngine corner tolerance', () => {
+  test('counts a near miss on the second wall as a corner hit', () => {
+    const engine = createEngine({
+      x: 348,
+      y: 275,
+      angle: 45 * DEG,
+      cornerTolerance: 3,
+    });
+    const [collision] = engine.step(0);
+
+    expect(collision?.type).toBe('corner');
+    expect(collision?.walls).toEqual(['right', 'bottom']);
+    expect(engine.angle).toBeCloseTo(225 * DEG);
+  });
+
+  test('ignores a second wall outside the tolerance', () => {
+    const engine = createEngine({
+      x: 340,
+      y: 275,
+      angle: 45 * DEG,
+      cornerTolerance: 3,
+    });
+    const [collision] = engine.step(0);
+
+    expect(collision?.type).toBe('wall');
+    expect(collision?.walls).toEqual(['bottom']);
+  });
+});
+
+describe('BounceEngine obstacles', () => {
+  /** A 100x100 obstacle right of the center, the logo center cannot enter [50, 250] × [-75, 75] */
+  const OBSTACLE = { left: 100, right: 200, top: -50, bottom: 50 };
+
+  test('predicts the time until the obstacle', () => {
+    const engine = createEngine({ obstacles: [OBSTACLE] });
+
+    expect(engine.timeToCollision()).toBeCloseTo(0.5);
+  });
+
+  test('ignores obstacles off the path', () => {
+    const engine = createEngine({ y: -100, obstacles: [OBSTACLE] });
+
+    expect(engine.timeToCollision()).toBeCloseTo(3.5);
+  });
+
+  test('reflects off the side of an obstacle like off a wall', () => {
+    const engine = createEngine({ angle: 20 * DEG, obstacles: [OBSTACLE] });
+    const [collision] = engine.step(engine.timeToCollision());
+
+    expect(collision?.type).toBe('wall');
+    expect(collision?.walls).toEqual(['right']);
+    expect(collision?.obstacle).toBe(OBSTACLE);
+    expect(engine.angle).toBeCloseTo(160 * DEG);
+    expect(engine.x).toBeLessThan(50);
+  });
+
+  test('reflects off the top of an obstacle', () => {
+    const engine = createEngine({
+      x: 150,
+      y: -200,
+      angle: 80 * DEG,
+      obstacles: [OBSTACLE],
+    });
+    const [collision] = engine.step(engine.timeToCollision());
+
+    expect(collision?.walls).toEqual(['bottom']);
+    expect(engine.angle).toBeCloseTo(280 * DEG);
+    expect(engine.y).toBeLessThan(-75);
+  });
+
+  test('counts a hit on the corner of an obstacle as a corner hit', () => {
+    const engine = createEngine({
+      x: 0,
+      y: -125,
+      angle: 45 * DEG,
+      obstacles: [OBSTACLE],
+    });
+    const [collision] = engine.step(engine.timeToCollision());
+
+    expect(collision?.type).toBe('corner');
+    expect(collision?.walls).toEqual(['right', 'bottom']);
+    expect(engine.angle).toBeCloseTo(225 * DEG);
+  });
+
+  test('pushes the logo out of an obstacle it moves away from without a hit', () => {
+    const engine = createEngine({
+      x: 60,
+      y: 0,
+      angle: 180 * DEG,
+      obstacles: [OBSTACLE],
+    });
+
+    expect(engine.step(0)).toEqual([]);
+    expect(engine.x).toBe(50);
+  });
+
+  test('never reports a hit after leaving the obstacle', () => {
+    const engine = createEngine({ angle: 20 * DEG, obstacles: [OBSTACLE] });
+    engine.step(engine.timeToCollision());
+
+    expect(engine.step(0)).toEqual([]);
+    expect(engine.timeToCollision()).toBeGreaterThan(0);
+  });
+});
+
+/** Ink from 40% left to 30% right of the center and 30% up and down */
+const INSET_SHAPE = [
+  { x: -0.4, y: -0.3 },
+  { x: 0.3, y: -0.3 },
+  { x: 0.3, y: 0.3 },
+  { x: -0.4, y: 0.3 },
+];
+
+/** A diamond touching the middle of every side of the box */
+const DIAMOND_SHAPE = [
+  { x: 0, y: -0.5 },
+  { x: 0.5, y: 0 },
+  { x: 0, y: 0.5 },
+  { x: -0.5, y: 0 },
+];
+
+describe('BounceEngine hit shapes', () => {
+  test('reaches the walls with its outline instead of its box', () => {
+    expect(createEngine({ shape: INSET_SHAPE }).getBounds()).toEqual({
+      minX: -360,
+      maxX: 370,
+      minY: -285,
+      maxY: 285,
+    });
+  });
+
+  test('turns around where the outline touches the wall', () => {
+    const engine = createEngine({ x: 360, angle: 0, shape: INSET_SHAPE });
+    const [collision] = engine.step(0.2);
+
+    expect(collision?.walls).toEqual(['right']);
+    expect(engine.x).toBe(370 - MINIMUM_MOVEMENT);
+  });
+
+  test('keeps obstacles off its outline', () => {
+    const engine = createEngine({ shape: INSET_SHAPE });
+
+    expect(
+      engine.getObstacleBox({ left: 100, right: 200, top: -10, bottom: 10 })
+    ).toEqual({ left: 70, right: 240, top: -25, bottom: 25 });
+  });
+
+  test('places the outline at the logo position', () => {
+    const engine = createEngine({ x: 10, y: 20, shape: DIAMOND_SHAPE });
+
+    expect(engine.getHull()).toEqual([
+      { x: 10, y: -5 },
+      { x: 60, y: 20 },
+      { x: 10, y: 45 },
+      { x: -40, y: 20 },
+    ]);
+  });
+});
+
+describe('BounceEngine rotation', () => {
+  test('reaches the walls with its turned box', () => {
+    const bounds = createEngine({ rotation: 90 * DEG }).getBounds();
+
+    expect(bounds.minX).toBeCloseTo(-375);
+    expect(bounds.maxX).toBeCloseTo(375);
+    expect(bounds.minY).toBeCloseTo(-250);
+    expect(bounds.maxY).toBeCloseTo(250);
+  });
+
+  test('keeps a turned logo inside the walls', () => {
+    const engine = createEngine({ y: 240, angle: 90 * DEG });
+    engine.setRotation(90 * DEG);
+    const [collision] = engine.step(0.2);
+
+    expect(collision?.walls).toEqual(['bottom']);
+    expect(engine.y).toBeCloseTo(250 - MINIMUM_MOVEMENT);
+  });
+
+  test('turns the outline around the logo center', () => {
+    const hull = createEngine({ x: 10, y: 20, rotation: 90 * DEG }).getHull();
+
+    expect(hull[0]?.x).toBeCloseTo(35);
+    expect(hull[0]?.y).toBeCloseTo(-30);
+    expect(hull[2]?.x).toBeCloseTo(-15);
+    expect(hull[2]?.y).toBeCloseTo(70);
+  });
+});
+
+describe('resolveLogoCollision', () => {
+  test('ignores logos that do not overlap', () => {
+    const a = createEngine({ x: -100, angle: 0 });
+    const b = createEngine({ x: 100, angle: Math.PI });
+
+    expect(resolveLogoCollision(a, b)).toBeNull();
+    expect(a.x).toBe(-100);
+    expect(b.x).toBe(100);
+  });
+
+  test('lets turned logos pass where their boxes would touch', () => {
+    const a = createEngine({ x: -40, angle: 0, rotation: 90 * DEG });
+    const b = createEngine({ x: 40, angle: Math.PI, rotation: 90 * DEG });
+
+    expect(resolveLogoCollision(a, b)).toBeNull();
+  });
+
+  test('swaps velocities in a head-on hit between equal logos', () => {
+    const a = createEngine({ x: -45, angle: 0, speed: 100 });
+    const b = createEngine({ x: 45, angle: Math.PI, speed: 50 });
+    const collision = resolveLogoCollision(a, b);
+
+    expect(collision?.axis).toBe('horizontal');
+    expect(a.angle).toBeCloseTo(Math.PI);
+    expect(a.speed).toBeCloseTo(50);
+    expect(b.angle).toBeCloseTo(0);
+    expect(b.speed).toBeCloseTo(100);
+    expect(b.x - a.x).toBeCloseTo(100);
+  });
+
+  test('bounces a logo off a fixed one without moving it', () => {
+    const a = createEngine({ x: -45, angle: 0, speed: 100 });
+    const b = createEngine({ x: 45, angle: Math.PI, speed: 50 });
+    const collision = resolveLogoCollision(a, b, { fixedB: true });
+
+    expect(collision?.axis).toBe('horizontal');
+    expect(a.angle).toBeCloseTo(Math.PI);
+    expect(a.speed).toBeCloseTo(100);
+    expect(a.x).toBeCloseTo(-55);
+    expect(b.x).toBe(45);
+    expect(b.angle).toBe(Math.PI);
+    expect(b.speed).toBe(50);
+  });
+
+  test('leaves two fixed logos alone', () => {
+    const a = createEngine({ x: -45, angle: 0 });
+    const b = createEngine({ x: 45, angle: Math.PI });
+
+    expect(resolveLogoCollision(a, b, { fixedA: true, fixedB: true })).toBeNull();
+    expect(a.x).toBe(-45);
+    expect(b.x).toBe(45);
+  });
+
+  test('conserves momentum and energy with different masses', () => {
+    const a = createEngine({ x: 0, y: -40, angle: 80 * DEG, speed: 120 });
+    const b = createEngine({
+      x: 20,
+      y: 0,
+      angle: 250 * DEG,
+      speed: 60,
+      logoWidth: 200,
+      logoHeight: 60,
+    });
+
+    /** @param {BounceEngine} e */
+    const momentum = (e) => {
+      const mass = e.logoWidth * e.logoHeight;
+      return {
+        x: mass * Math.cos(e.angle) * e.speed,
+        y: mass * Math.sin(e.angle) * e.speed,
+        energy: mass * e.speed * e.speed,
+      };
+    };
+
+    const beforeA = momentum(a);
+    const beforeB = momentum(b);
+    expect(resolveLogoCollision(a, b)?.axis).toBe('vertical');
+    const afterA = momentum(a);
+    const afterB = momentum(b);
+
+    expect(afterA.x + afterB.x).toBeCloseTo(beforeA.x + beforeB.x, 4);
+    expect(afterA.y + afterB.y).toBeCloseTo(beforeA.y + beforeB.y, 4);
+    expect(afterA.energy + afterB.energy).toBeCloseTo(
+      beforeA.energy + beforeB.energy,
+      0
+    );
+  });
+
+  test('separates overlapping logos that already move apart', () => {
+    const a = createEngine({ x: -40, angle: Math.PI });
+    const b = createEngine({ x: 40, angle: 0 });
+
+    expect(resolveLogoCollision(a, b)).toBeNull();
+    expect(b.x - a.x).toBeCloseTo(100);
+    expect(a.angle).toBeCloseTo(Math.PI);
+    expect(b.angle).toBe(0);
+  });
+
+  test('lets outlines pass where only the boxes overlap', () => {
+    const a = createEngine({ angle: 0, shape: DIAMOND_SHAPE });
+    const b = createEngine({ x: 90, y: 40, angle: Math.PI, shape: DIAMOND_SHAPE });
+
+    expect(resolveLogoCollision(a, b)).toBeNull();
+    expect(a.x).toBe(0);
+    expect(b.x).toBe(90);
+  });
+
+  test('bounces overlapping outlines apart and conserves momentum', () => {
+    const a = createEngine({ x: -45, angle: 0, speed: 100, shape: DIAMOND_SHAPE });
+    const b = createEngine({ x: 45, angle: Math.PI, speed: 50, shape: DIAMOND_SHAPE });
+    const collision = resolveLogoCollision(a, b);
+
+    expect(collision).not.toBeNull();
+    expect(collision?.x).toBeCloseTo((a.x + b.x) / 2);
+    expect(
+      Math.cos(a.angle) * a.speed + Math.cos(b.angle) * b.speed
+    ).toBeCloseTo(100 - 50);
+    expect(
+      Math.sin(a.angle) * a.speed + Math.sin(b.angle) * b.speed
+    ).toBeCloseTo(0);
+    expect(Math.cos(b.angle) * b.speed).toBeGreaterThan(-50);
+
+    // Pushed apart until the outlines only touch
+    expect(resolveLogoCollision(a, b)).toBeNull();
+  });
+});
@@ -0,0 +1,264 @@
+// @ts-check
+
+import BounceEngine, {
+  MINIMUM_MOVEMENT,
+  normalizeAngle,
+  shapeExtents,
+} from './bounce-engine.js';
+
+/**
+ * @typedef {'top-left'|'top-right'|'bottom-left'|'bottom-right'} Corner
+ */
+
+/**
+ * @typedef {Object} PathState
+ * @property {number} x - Normalized X position of the logo center
+ * @property {number} y - Normalized Y position of the logo center
+ * @property {number} angle - Direction of travel in radians
+ * @property {number} speed - Speed in pixels per second
+ * @property {number} width - Arena width
+ * @property {number} height - Arena height
+ * @property {number} logoWidth - Logo width
+ * @property {number} logoHeight - Logo height
+ * @property {import('./bounce-engine.js').Obstacle[]} [obstacles] - Obstacles, only followed by `predictPath`
+ * @property {import('./bounce-engine.js').HitShape|null} [shape] - Outline of the logo, its box if omitted
+ * @property {number} [rotation] - Rotation of the logo in radians
+ */
+
+/**
+ * @typedef {Object} CornerPrediction
+ * @property {number} time - Seconds until the corner hit
+ * @property {Corner} corner - The corner that will be hit
+ * @property {number} bounces - Wall hits before the corner hit
+ * @property {number} x - Normalized X position of the logo center at the hit
+ * @property {number} y - Normalized Y position of the logo center at the hit
+ */
+
+/**
+ * @typedef {Object} CornerAngle
+ * @property {number} angle - New angle in radians
+ * @property {number} delta - Change from the current angle in radians
+ * @property {Corner} corner - The corner the new angle leads to
+ * @property {number} bounces - Wall hits before the corner hit
+ */
+
+/**
+ * @typedef {Object} AxisHits
+ * @property {number} first - Time of the first wall hit
+ * @property {number} period - Time between two wall hits
+ * @property {number} speed - Absolute velocity on the axis
+ * @property {boolean} firstAtMax - Whether the first hit is on the max wall
+ */
+
+/** Default number of wall hits to look ahead */
+export const DEFAULT_MAX_BOUNCES = 200;
+
+/** Distance in pixels that absorbs rounding errors */
+const EPSILON = 1e-6;
+
+/**
+ * Wall hits on one axis form an arithmetic sequence alternating between both walls
+ * @param {number} position - Position on the axis
+ * @param {number} velocity - Velocity on the axis
+ * @param {number} min - Smallest reachable position
+ * @param {number} max - Largest reachable position
+ * @returns {AxisHits|null} The sequence, or null if the axis never hits a wall
+ */
+function axisHits(position, velocity, min, max) {
+  if (min >= max || velocity === 0) return null;
+  return {
+    first: Math.max(0, ((velocity > 0 ? max : min) - position) / velocity),
+    period: (max - min) / Math.abs(velocity),
+    speed: Math.abs(velocity),
+    firstAtMax: velocity > 0,
+  };
+}
+
+/**
+ * Get the range the logo center can move in
+ * @param {PathState} state - Current path state
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+function centerBounds(state) {
+  const extents = shapeExtents(state);
+  return {
+    minX: -state.width / 2 - extents.left,
+    maxX: state.width / 2 - extents.right,
+    minY: -state.height / 2 - extents.top,
+    maxY: state.height / 2 - extents.bottom,
+  };
+}
+
+/**
+ * Build the corner name from the walls that are hit
+ * @param {boolean} right - Whether the right wall is hit
+ * @param {boolean} bottom - Whether the bottom wall is hit
+ * @returns {Corner}
+ */
+function cornerName(right, bottom) {
+  return `${bottom ? 'bottom' : 'top'}-${right ? 'right' : 'left'}`;
+}
+
+/**
+ * Work out when and where the logo will next hit a corner on its current path
+ * @param {PathState} state - Current path state
+ * @param {Object} [options] - Solver options
+ * @param {number} [options.maxBounces=DEFAULT_MAX_BOUNCES] - Wall hits to look ahead
+ * @param {number} [options.tolerance=0] - Pixels from the second wall that still count as a corner hit
+ * @param {number} [options.minimumMovement=MINIMUM_MOVEMENT] - Pixels the engine moves away from a wall after a hit
+ * @returns {CornerPrediction|null} The next corner hit, or null if the path does not reach one
+ */
+export function predictCornerHit(state, options = {}) {
+  const {
+    maxBounces = DEFAULT_MAX_BOUNCES,
+    tolerance = 0,
+    minimumMovement = MINIMUM_MOVEMENT,
+  } = options;
+
+  const { minX, maxX, minY, maxY } = centerBounds(state);
+  const hitsX = axisHits(
+    state.x,
+    Math.cos(state.angle) * state.speed,
+    minX,
+    maxX
+  );
+  const hitsY = axisHits(
+    state.y,
+    Math.sin(state.angle) * state.speed,
+    minY,
+    maxY
+  );
+
+  // Axis-aligned and pinned paths never reach a corner
+  if (!hitsX || !hitsY) return null;
+
+  let countX = 0;
+  let countY = 0;
+
+  for (let bounces = 0; bounces < maxBounces; bounces++) {
+    const timeX = hitsX.first + countX * hitsX.period;
+    const timeY = hitsY.first + countY * hitsY.period;
+
+    // The axis that hits first checks how far the other one is from its wall
+    const gap =
+      timeX <= timeY
+        ? (timeY - timeX) * hitsY.speed
+        : (timeX - timeY) * hitsX.speed;
+
+    if (gap <= tolerance + EPSILON) {
+      const atMaxX = hitsX.firstAtMax === (countX % 2 === 0);
+      const atMaxY = hitsY.firstAtMax === (countY % 2 === 0);
+
+      // Every earlier bounce moved the logo slightly ahead along its path
+      const shift = (bounces * minimumMovement) / state.speed;
+
+      return {
+        time: Math.max(0, Math.min(timeX, timeY) - shift),
+        corner: cornerName(atMaxX, atMaxY),
+        bounces,
+        x: atMaxX ? maxX : minX,
+        y: atMaxY ? maxY : minY,
+      };
+    }
+
+    if (timeX <= timeY) {
+      countX++;
+    } else {
+      countY++;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Follow the current path through the next wall hits, the way the engine bounces
+ * @param {PathState} state - Current path state
+ * @param {number} maxBounces - Wall hits to follow
+ * @returns {Array<{x: number, y: number}>} The current position followed by every wall hit position
+ */
+export function predictPath(state, maxBounces) {
+  const engine = new BounceEngine({
+    x: state.x,
+    y: state.y,
+    angle: state.angle,
+    speed: state.speed,
+    width: state.width,
+    height: state.height,
+    logoWidth: state.logoWidth,
+    logoHeight: state.logoHeight,
+    obstacles: state.obstacles,
+    shape: state.shape,
+    rotation: state.rotation,
+  });
+  const points = [{ x: engine.x, y: engine.y }];
+
+  for (let bounces = 0; bounces < maxBounces; bounces++) {
+    const time = engine.timeToCollision();
+    if (!Number.isFinite(time)) break;
+
+    // Record where the wall is touched, the engine then moves slightly away from it
+    engine.x += Math.cos(engine.angle) * engine.speed * time;
+    engine.y += Math.sin(engine.angle) * engine.speed * time;
+    points.push({ x: engine.x, y: engine.y });
+    engine.step(0);
+  }
+
+  return points;
+}
+
+/**
+ * Find the smallest change of angle that lands the logo in a corner.
+ * Reflections are unfolded into a grid of mirrored arenas, so every corner
+ * reachable within the bounce limit is a grid point seen in a straight line.
+ * @param {PathState} state - Current path state
+ * @param {number} maxBounces - Maximum wall hits before the corner hit
+ * @returns {CornerAngle|null} The new angle, or null if the arena has no room to bounce
+ */
+export function findCornerAngle(state, maxBounces) {
+  const { minX, maxX, minY, maxY } = centerBounds(state);
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+
+  if (spanX <= 0 || spanY <= 0) return null;
+
+  /**
+   * Walls crossed before reaching grid line i
+   * @param {number} i - Grid line index, 0 is the min wall and 1 the max wall
+   * @returns {number}
+   */
+  const crossings = (i) => (i >= 1 ? i - 1 : -i);
+
+  /** @type {CornerAngle|null} */
+  let best = null;
+
+  for (let i = -maxBounces; i <= maxBounces + 1; i++) {
+    for (let j = -maxBounces; j <= maxBounces + 1; j++) {
+      const bounces = crossings(i) + crossings(j);
+      if (bounces > maxBounces) continue;
+
+      const angle = normalizeAngle(
+        Math.atan2(minY + j * spanY - state.y, minX + i * spanX - state.x)
+      );
+      const delta = normalizeAngle(angle - state.angle + Math.PI) - Math.PI;
+
+      const isBetter =
+        !best ||
+        Math.abs(delta) < Math.abs(best.delta) - EPSILON ||
+        (Math.abs(delta) <= Math.abs(best.delta) + EPSILON &&
+          bounces < best.bounces);
+
+      if (isBetter) {
+        // Odd grid lines are mirrored images of the max wall
+        best = {
+          angle,
+          delta,
+          corner: cornerName(Math.abs(i % 2) === 1, Math.abs(j % 2) === 1),
+          bounces,
+        };
+      }
+    }
+  }
+
+  return best;
+}
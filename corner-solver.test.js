@@ -0,0 +1,201 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import BounceEngine from './bounce-engine.js';
+import {
+  findCornerAngle,
+  predictCornerHit,
+  predictPath,
+} from './corner-solver.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Create a path state in an 800x600 arena with a 100x50 logo,
+ * so the center moves in [-350, 350] × [-275, 275]
+ * @param {Object} [overrides] - Overrides for the path state
+ * @returns {import('./corner-solver.js').PathState}
+ */
+function createState(overrides = {}) {
+  return {
+    x: 0,
+    y: 0,
+    angle: 0,
+    speed: 100,
+    width: 800,
+    height: 600,
+    logoWidth: 100,
+    logoHeight: 50,
+    ...overrides,
+  };
+}
+
+describe('predictCornerHit', () => {
+  test('predicts a direct corner hit', () => {
+    const angle = Math.atan2(275, 350);
+    const prediction = predictCornerHit(createState({ angle }));
+
+    expect(prediction?.corner).toBe('bottom-right');
+    expect(prediction?.bounces).toBe(0);
+    expect(prediction?.time).toBeCloseTo(Math.hypot(350, 275) / 100);
+    expect(prediction?.x).toBe(350);
+    expect(prediction?.y).toBe(275);
+  });
+
+  test('lets a hit shape reach further than the box', () => {
+    // Ink from 40% left to 30% right of the center, 30% up and down
+    const shape = [
+      { x: -0.4, y: -0.3 },
+      { x: 0.3, y: -0.3 },
+      { x: 0.3, y: 0.3 },
+      { x: -0.4, y: 0.3 },
+    ];
+    const angle = Math.atan2(285, 370);
+    const prediction = predictCornerHit(createState({ angle, shape }));
+
+    expect(prediction?.corner).toBe('bottom-right');
+    expect(prediction?.x).toBe(370);
+    expect(prediction?.y).toBe(285);
+  });
+
+  test('predicts a corner hit after bounces', () => {
+    // Unfolded target is the grid point two arenas to the left: top-right corner after one bounce
+    const angle = Math.atan2(-275, -350 - 700);
+    const prediction = predictCornerHit(createState({ angle }), {
+      minimumMovement: 0,
+    });
+
+    expect(prediction?.corner).toBe('top-right');
+    expect(prediction?.bounces).toBe(1);
+    expect(prediction?.time).toBeCloseTo(Math.hypot(1050, 275) / 100);
+  });
+
+  test('accounts for the engine moving away from each wall', () => {
+    const angle = Math.atan2(-275, -1050);
+    const exact = predictCornerHit(createState({ angle }), {
+      minimumMovement: 0,
+    });
+    const shifted = predictCornerHit(createState({ angle }), {
+      minimumMovement: 1,
+    });
+
+    expect((exact?.time ?? 0) - (shifted?.time ?? 0)).toBeCloseTo(1 / 100);
+  });
+
+  test('reports that axis-aligned and pinned paths never reach a corner', () => {
+    expect(predictCornerHit(createState({ angle: 0 }))).toBeNull();
+    expect(predictCornerHit(createState({ angle: 90 * DEG }))).toBeNull();
+    expect(
+      predictCornerHit(createState({ angle: 30 * DEG, logoWidth: 900 }))
+    ).toBeNull();
+  });
+
+  test('reports no corner within the bounce limit', () => {
+    const state = createState({ angle: 33 * DEG });
+    expect(predictCornerHit(state, { maxBounces: 3 })).toBeNull();
+  });
+
+  test('counts a near miss within the tolerance', () => {
+    const angle = Math.atan2(274, 350);
+    expect(predictCornerHit(createState({ angle }))).toBeNull();
+    expect(
+      predictCornerHit(createState({ angle }), { tolerance: 2 })?.corner
+    ).toBe('bottom-right');
+  });
+
+  test('matches the engine simulation', () => {
+    const base = createState({ x: 12, y: -34, angle: 70 * DEG });
+    const state = { ...base, angle: findCornerAngle(base, 6)?.angle ?? 0 };
+    const prediction = predictCornerHit(state, { tolerance: 0.5 });
+    const engine = new BounceEngine({ ...state, cornerTolerance: 0.5 });
+
+    let time = 0;
+    /** @type {import('./bounce-engine.js').CollisionEvent[]} */
+    let collisions = [];
+    for (let i = 0; i < 20 && !collisions.some((c) => c.type === 'corner'); i++) {
+      const dt = engine.timeToCollision();
+      time += dt;
+      collisions = engine.step(dt);
+    }
+
+    expect(prediction?.bounces).toBeGreaterThan(0);
+    expect(time).toBeCloseTo(prediction?.time ?? 0);
+    expect(collisions[0]?.type).toBe('corner');
+  });
+});
+
+describe('findCornerAngle', () => {
+  test('returns the current angle when it already leads to a corner', () => {
+    const angle = Math.atan2(275, 350);
+    const result = findCornerAngle(createState({ angle }), 5);
+
+    expect(result?.delta).toBeCloseTo(0);
+    expect(result?.corner).toBe('bottom-right');
+    expect(result?.bounces).toBe(0);
+  });
+
+  test('finds a small nudge that lands a corner within the bounce limit', () => {
+    const state = createState({ x: 57, y: -120, angle: 33 * DEG });
+    const result = findCornerAngle(state, 10);
+
+    expect(result).not.toBeNull();
+    expect(result?.bounces).toBeLessThanOrEqual(10);
+
+    // The prediction counts the corner hit as one more look ahead
+    const prediction = predictCornerHit(
+      { ...state, angle: result?.angle ?? 0 },
+      { maxBounces: 11 }
+    );
+    expect(prediction?.corner).toBe(result?.corner ?? 'top-left');
+    expect(prediction?.bounces).toBe(result?.bounces ?? -1);
+  });
+
+  test('allows exactly the maximum number of wall hits', () => {
+    // Off the right wall into the top-left corner
+    const angle = Math.atan2(-275, 1050);
+    const result = findCornerAngle(createState({ angle }), 1);
+
+    expect(result?.delta).toBeCloseTo(0);
+    expect(result?.corner).toBe('top-left');
+    expect(result?.bounces).toBe(1);
+  });
+
+  test('needs a smaller nudge when more bounces are allowed', () => {
+    const state = createState({ angle: 33 * DEG });
+    const few = findCornerAngle(state, 1);
+    const many = findCornerAngle(state, 20);
+
+    expect(Math.abs(many?.delta ?? 1)).toBeLessThanOrEqual(
+      Math.abs(few?.delta ?? 0)
+    );
+  });
+
+  test('returns null when the logo has no room to bounce', () => {
+    expect(findCornerAngle(createState({ logoHeight: 700 }), 10)).toBeNull();
+  });
+});
+
+describe('predictPath', () => {
+  test('follows the path through the next wall hits', () => {
+    const points = predictPath(createState({ angle: 45 * DEG }), 3);
+
+    expect(points).toHaveLength(4);
+    expect(points[0]).toEqual({ x: 0, y: 0 });
+    // Straight down-right to the bottom wall, then up-right to the right wall
+    expect(points[1]?.x).toBeCloseTo(275);
+    expect(points[1]?.y).toBeCloseTo(275);
+    expect(points[2]?.x).toBeCloseTo(350);
+    expect(points[2]?.y).toBeCloseTo(200, 0);
+  });
+
+  test('stays within the bounds', () => {
+    for (const point of predictPath(createState({ angle: 33 * DEG }), 20)) {
+      expect(Math.abs(point.x)).toBeLessThanOrEqual(350 + 1e-6);
+      expect(Math.abs(point.y)).toBeLessThanOrEqual(275 + 1e-6);
+    }
+  });
+
+  test('ends at the current position when the logo does not move', () => {
+    expect(predictPath(createState({ speed: 0 }), 5)).toEqual([{ x: 0, y: 0 }]);
+  });
+});
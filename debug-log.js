@@ -0,0 +1,173 @@
+// @ts-check
+
+/**
+ * @typedef {'debug'|'info'|'warn'|'error'} LogLevel
+ */
+
+/**
+ * @typedef {'collision'|'resize'|'lifecycle'|'perf'|'general'} LogCategory
+ */
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {number} time - Time of the entry, milliseconds since the epoch
+ * @property {LogLevel} level - Severity
+ * @property {LogCategory} category - Area the entry belongs to
+ * @property {string} message - What happened
+ * @property {unknown} [data] - Extra data given with the message
+ * @property {Record<string, unknown>|null} state - Last animation state seen before the entry
+ */
+
+/** Levels from least to most severe */
+export const LOG_LEVELS = /** @type {LogLevel[]} */ ([
+  'debug',
+  'info',
+  'warn',
+  'error',
+]);
+
+/** Columns of the CSV export */
+const CSV_COLUMNS = /** @type {const} */ ([
+  'time',
+  'level',
+  'category',
+  'message',
+  'data',
+  'state',
+]);
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {string} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value;
+}
+
+/**
+ * Keeps the most recent log entries in a fixed-size ring buffer, each with the
+ * animation state it happened in, and exports them for bug reports
+ */
+class DebugLog {
+  /**
+   * @param {Object} [options] - Log options
+   * @param {number} [options.capacity=500] - Entries kept before the oldest are dropped
+   */
+  constructor(options = {}) {
+    const { capacity = 500 } = options;
+
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`Log capacity must be a positive integer, got ${capacity}`);
+    }
+
+    this.capacity = capacity;
+    /** @type {Array<LogEntry|undefined>} */
+    this.buffer = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+
+    /** @type {Record<string, unknown>|null} */
+    this.state = null;
+  }
+
+  /**
+   * Remember the latest animation state for the next entries
+   * @param {Record<string, unknown>} state - Animation state snapshot
+   */
+  setState(state) {
+    this.state = state;
+  }
+
+  /**
+   * Add an entry, dropping the oldest one when the buffer is full
+   * @param {LogLevel} level - Severity
+   * @param {LogCategory} category - Area the entry belongs to
+   * @param {string} message - What happened
+   * @param {unknown} [data] - Extra data
+   * @param {number} [time=Date.now()] - Time of the entry
+   * @returns {LogEntry} The new entry
+   */
+  add(level, category, message, data, time = Date.now()) {
+    /** @type {LogEntry} */
+    const entry = {
+      time,
+      level,
+      category,
+      message,
+      state: this.state ? { ...this.state } : null,
+    };
+    if (data !== undefined) entry.data = data;
+
+    this.buffer[(this.start + this.size) % this.capacity] = entry;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the kept entries, oldest first
+   * @param {Object} [filter] - Only return some entries
+   * @param {LogLevel} [filter.level='debug'] - Least severe level to include
+   * @param {LogCategory} [filter.category] - Only this category
+   * @returns {LogEntry[]}
+   */
+  entries(filter = {}) {
+    const { level = 'debug', category } = filter;
+    const minimum = LOG_LEVELS.indexOf(level);
+
+    /** @type {LogEntry[]} */
+    const result = [];
+    for (let i = 0; i < this.size; i++) {
+      const entry = this.buffer[(this.start + i) % this.capacity];
+      if (!entry) continue;
+      if (LOG_LEVELS.indexOf(entry.level) < minimum) continue;
+      if (category && entry.category !== category) continue;
+      result.push(entry);
+    }
+    return result;
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.buffer = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Export the entries as JSON
+   * @returns {string}
+   */
+  exportJSON() {
+    return JSON.stringify(this.entries(), null, 2);
+  }
+
+  /**
+   * Export the entries as CSV, data and state are JSON encoded
+   * @returns {string}
+   */
+  exportCSV() {
+    const rows = this.entries().map((entry) =>
+      [
+        new Date(entry.time).toISOString(),
+        entry.level,
+        entry.category,
+        entry.message,
+        entry.data === undefined ? '' : JSON.stringify(entry.data),
+        entry.state ? JSON.stringify(entry.state) : '',
+      ]
+        .map(csvField)
+        .join(',')
+    );
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+}
+
+export default DebugLog;
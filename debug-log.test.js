@@ -0,0 +1,75 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import DebugLog from './debug-log.js';
+
+describe('DebugLog', () => {
+  test('keeps only the most recent entries, oldest first', () => {
+    const log = new DebugLog({ capacity: 3 });
+    for (let i = 1; i <= 5; i++) {
+      log.add('info', 'general', `entry ${i}`);
+    }
+
+    expect(log.entries().map((entry) => entry.message)).toEqual([
+      'entry 3',
+      'entry 4',
+      'entry 5',
+    ]);
+  });
+
+  test('filters by level and category', () => {
+    const log = new DebugLog();
+    log.add('debug', 'perf', 'FPS: 60');
+    log.add('info', 'collision', 'Corner hit');
+    log.add('warn', 'perf', 'FPS: 20');
+
+    expect(log.entries({ level: 'info' }).map((entry) => entry.message)).toEqual([
+      'Corner hit',
+      'FPS: 20',
+    ]);
+    expect(log.entries({ category: 'perf' })).toHaveLength(2);
+  });
+
+  test('captures the state at the time of the entry', () => {
+    const log = new DebugLog();
+    log.add('info', 'general', 'before');
+    log.setState({ currentX: 10 });
+    log.add('info', 'general', 'after');
+    log.setState({ currentX: 20 });
+
+    const [before, after] = log.entries();
+    expect(before?.state).toBeNull();
+    expect(after?.state).toEqual({ currentX: 10 });
+  });
+
+  test('exports JSON that parses back to the entries', () => {
+    const log = new DebugLog();
+    log.add('error', 'resize', 'Bad size', { width: 0 }, 1000);
+
+    expect(JSON.parse(log.exportJSON())).toEqual(log.entries());
+  });
+
+  test('exports CSV with quoted fields', () => {
+    const log = new DebugLog();
+    log.setState({ angle: 1 });
+    log.add('info', 'collision', 'Hit "top", then left', undefined, 0);
+
+    expect(log.exportCSV().split('\r\n')).toEqual([
+      'time,level,category,message,data,state',
+      '1970-01-01T00:00:00.000Z,info,collision,"Hit ""top"", then left",,"{""angle"":1}"',
+    ]);
+  });
+
+  test('starts empty again after clearing', () => {
+    const log = new DebugLog({ capacity: 2 });
+    log.add('info', 'general', 'a');
+    log.clear();
+    log.add('info', 'general', 'b');
+
+    expect(log.entries().map((entry) => entry.message)).toEqual(['b']);
+  });
+
+  test('rejects a capacity that cannot hold entries', () => {
+    expect(() => new DebugLog({ capacity: 0 })).toThrow();
+  });
+});
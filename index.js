@@ -1,4 +1,137 @@
-import LogoAnimator from './logo-animator.js';
+import LogoScene from './logo-scene.js';
+import { isSoundMuted, setSoundMuted } from './logo-sounds.js';
+import { parseConfig } from './page-config.js';
+
+/** Logo elements that are part of the page, used before creating new ones */
+const PAGE_LOGO_IDS = ['logo1', 'logo2'];
+
+/** Every further logo starts at a different angle so they do not move in parallel */
+const ANGLE_STEP = 60;
+
+/** Every further logo is a bit slower */
+const DURATION_STEP = 2;
+
+/**
+ * Read the configuration from the URL and report rejected parameters
+ * @param {boolean} isLocalhost - Whether the page runs locally
+ * @returns {import('./page-config.js').ParsedConfig}
+ */
+function readConfig(isLocalhost) {
+  const parsed = parseConfig(
+    window.location.search,
+    window.location.hash,
+    { debug: isLocalhost }
+  );
+  for (const error of parsed.errors) {
+    console.warn(`Ignoring URL parameter: ${error}`);
+  }
+  return parsed;
+}
+
+/**
+ * Get the session options of the logos, an angle or duration in the URL
+ * wins over the state saved before a reload
+ * @param {Array<keyof import('./page-config.js').PageConfig>} explicit - Parameters the URL sets
+ * @returns {import('./logo-session.js').SessionOptions}
+ */
+function sessionOptions(explicit) {
+  /** @type {import('./logo-session.js').KeptOption[]} */
+  const keep = [];
+  if (explicit.includes('angle')) keep.push('angle');
+  if (explicit.includes('duration')) keep.push('speed');
+  return { keep };
+}
+
+/**
+ * Get the angle of a logo
+ * @param {import('./page-config.js').PageConfig} config - Page configuration
+ * @param {number} index - Position of the logo
+ * @returns {number} Angle in degrees
+ */
+function logoAngle(config, index) {
+  return config.angle + index * ANGLE_STEP;
+}
+
+/**
+ * Get the traversal duration of a logo
+ * @param {import('./page-config.js').PageConfig} config - Page configuration
+ * @param {number} index - Position of the logo
+ * @returns {number} Duration in seconds
+ */
+function logoDuration(config, index) {
+  return config.duration + index * DURATION_STEP;
+}
+
+/**
+ * Add the configured logos to the scene, reusing the page's own elements first
+ * @param {LogoScene} scene - The scene
+ * @param {import('./page-config.js').PageConfig} config - Page configuration
+ * @param {Array<keyof import('./page-config.js').PageConfig>} [explicit=[]] - Parameters the URL sets
+ */
+function addLogos(scene, config, explicit = []) {
+  scene.src = config.logo;
+  // Logos added from the keyboard get the same features
+  scene.logoOptions = {
+    traversalDuration: config.duration,
+    interactive: true,
+    sound: true,
+    stats: { overlay: true },
+    particles: true,
+    session: sessionOptions(explicit),
+  };
+
+  PAGE_LOGO_IDS.forEach((id, index) => {
+    const image = document.getElementById(id);
+    if (!(image instanceof HTMLImageElement)) return;
+    image.hidden = index >= config.count;
+    if (image.getAttribute('src') !== config.logo) image.src = config.logo;
+  });
+
+  for (let index = 0; index < config.count; index++) {
+    const id = PAGE_LOGO_IDS[index];
+    scene.add(id && document.getElementById(id) ? id : undefined, {
+      angle: logoAngle(config, index),
+      traversalDuration: logoDuration(config, index),
+      debug: config.debug && index === 0,
+      sound: index % 2 === 0 ? true : { preset: 'soft', volume: 0.4 },
+      // One screensaver for the page is enough
+      screensaver: config.idle > 0 && index === 0 && { idleTimeout: config.idle },
+    });
+  }
+}
+
+/**
+ * Apply a new configuration, rebuilding the logos only when needed
+ * @param {LogoScene} scene - The scene
+ * @param {import('./page-config.js').PageConfig} current - Configuration in use
+ * @param {import('./page-config.js').PageConfig} next - New configuration
+ */
+function applyConfig(scene, current, next) {
+  document.body.style.backgroundColor = next.bg;
+
+  const needsRebuild =
+    next.count !== current.count ||
+    next.logo !== current.logo ||
+    next.debug !== current.debug ||
+    next.idle !== current.idle;
+
+  if (needsRebuild) {
+    // The rebuilt logos start from the new configuration, not from a saved state
+    for (const animator of scene.animators) animator.session?.clear();
+    scene.cleanup();
+    addLogos(scene, next);
+    return;
+  }
+
+  scene.animators.forEach((animator, index) => {
+    if (next.angle !== current.angle) {
+      animator.setAngle(logoAngle(next, index));
+    }
+    if (next.duration !== current.duration) {
+      animator.setTraversalDuration(logoDuration(next, index));
+    }
+  });
+}
 
 document.addEventListener('DOMContentLoaded', () => {
   // Enable debug mode on localhost
@@ -8,18 +141,32 @@ document.addEventListener('DOMContentLoaded', () => {
     window.location.hostname === '' ||
     window.location.hostname.endsWith('.loca.lt');
 
-  const logo1 = new LogoAnimator('logo1', {
-    angle: -40,
-    traversalDuration: 8,
-    debug: isLocalhost,
+  // One shared loop for every logo, logos bounce off each other
+  const scene = new LogoScene();
+
+  const initial = readConfig(isLocalhost);
+  let config = initial.config;
+  document.body.style.backgroundColor = config.bg;
+  addLogos(scene, config, initial.explicit);
+
+  // Changing the hash reconfigures the running page
+  window.addEventListener('hashchange', () => {
+    const next = readConfig(isLocalhost).config;
+    applyConfig(scene, config, next);
+    config = next;
   });
 
-  // const logo2 = new LogoAnimator('logo2', {
-  //   angle: 20,
-  //   traversalDuration: 10,
-  //   debug: isLocalhost,
-  // });
+  // Sounds start muted, browsers only allow audio after a user gesture
+  const soundToggle = document.getElementById('sound-toggle');
+  if (soundToggle) {
+    soundToggle.addEventListener('click', () => {
+      setSoundMuted(!isSoundMuted());
+    });
 
-  logo1.initialize();
-  // logo2.initialize();
+    // The mute shortcut changes it too
+    window.addEventListener('soundmutechange', () => {
+      soundToggle.textContent = isSoundMuted() ? '🔇' : '🔊';
+      soundToggle.setAttribute('aria-pressed', String(!isSoundMuted()));
+    });
+  }
 });
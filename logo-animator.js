@@ -1,7 +1,32 @@
 // @ts-check
 
+import BounceEngine from './bounce-engine.js';
+import {
+  DEFAULT_MAX_BOUNCES,
+  findCornerAngle,
+  predictCornerHit,
+  predictPath,
+} from './corner-solver.js';
 import debounce from './debounce.js';
+import LogoArena from './logo-arena.js';
+import LogoColliders from './logo-colliders.js';
 import LogoDebugger from './logo-debugger.js';
+import LogoRecolorer from './logo-recolorer.js';
+import LogoScreensaver from './logo-screensaver.js';
+import LogoSession, { rescaleState } from './logo-session.js';
+import LogoDragger from './logo-dragger.js';
+import LogoKeymap from './logo-keymap.js';
+import LogoParticles from './logo-particles.js';
+import { traceHitShape } from './logo-shape.js';
+import LogoSounds from './logo-sounds.js';
+import LogoStats from './logo-stats.js';
+import { createMotionModel } from './motion-models.js';
+import {
+  CssVariablesMotion,
+  ModelMotion,
+  TransformMotion,
+} from './motion-strategies.js';
+import { CanvasRenderer, DomRenderer } from './renderers.js';
 
 /**
  * @typedef {Object} LogoDimensions
@@ -18,34 +43,197 @@ import LogoDebugger from './logo-debugger.js';
  */
 
 /**
- * Class to handle logo animation and related functionality using requestAnimationFrame
+ * @typedef {import('./corner-solver.js').CornerPrediction} CornerPrediction
+ * @typedef {import('./corner-solver.js').Corner} Corner
+ * @typedef {import('./bounce-engine.js').Wall} Wall
+ * @typedef {import('./bounce-engine.js').CollisionEvent} CollisionEvent
  */
-class LogoAnimator {
+
+/**
+ * @typedef {Object} HitEventDetail
+ * @property {Wall[]} walls - Walls that were hit, two for a corner hit
+ * @property {Corner|null} corner - The corner that was hit, null for a wall hit
+ * @property {{x: number, y: number}} position - Normalized position of the logo center
+ * @property {{x: number, y: number}} windowPosition - Window position of the logo center
+ * @property {number} angleBefore - Angle in radians before the hit
+ * @property {number} angleAfter - Angle in radians after the hit
+ * @property {number} timestamp - Frame timestamp in milliseconds
+ * @property {Element|null} obstacle - The `data-collider` element that was hit, null for the arena walls
+ */
+
+/**
+ * @typedef {Object} LogoHitEventDetail
+ * @property {LogoAnimator} other - The animator of the other logo
+ * @property {'horizontal'|'vertical'} axis - Axis the logos were pushed apart on
+ * @property {{x: number, y: number}} position - Normalized position of the contact point
+ * @property {number} angleBefore - Angle in radians before the hit
+ * @property {number} angleAfter - Angle in radians after the hit
+ * @property {number} timestamp - Frame timestamp in milliseconds
+ */
+
+/**
+ * @typedef {Object} ResizeEventDetail
+ * @property {number} width - New arena width
+ * @property {number} height - New arena height
+ * @property {number} timestamp - Timestamp in milliseconds
+ */
+
+/**
+ * @typedef {Object} LifecycleEventDetail
+ * @property {{x: number, y: number}} position - Normalized position of the logo center
+ * @property {number} angle - Angle in radians
+ * @property {number} timestamp - Timestamp in milliseconds
+ */
+
+/** Longest frame the clock advances by, so a stalled tab cannot skip collisions */
+const MAX_FRAME_TIME = 250;
+
+/** Duration of a single frame for `step()`, in milliseconds */
+const STEP_FRAME_TIME = 1000 / 60;
+
+/** Wall hits of the predicted path drawn by the debugger */
+const DEBUG_PATH_BOUNCES = 5;
+
+/** Playback rate of the slow drift shown when reduced motion is preferred */
+const REDUCED_MOTION_DRIFT_RATE = 0.15;
+
+/** Time a logo stays in place between two crossfades, in milliseconds */
+const CROSSFADE_INTERVAL = 6000;
+
+/** Duration of fading out or in, in milliseconds */
+const CROSSFADE_DURATION = 800;
+
+/** Counts animators, names logos that have no ID of their own */
+let instanceCount = 0;
+
+/**
+ * How the logo moves when the user prefers reduced motion. `ignore` keeps the
+ * normal bounce.
+ * @typedef {'static'|'drift'|'crossfade'|'ignore'} ReducedMotionFallback
+ */
+
+/**
+ * @typedef {Object} LogoAnimatorEventMap
+ * @property {CustomEvent<HitEventDetail>} wallhit - A single wall was hit
+ * @property {CustomEvent<HitEventDetail>} cornerhit - Two walls were hit at once
+ * @property {CustomEvent<LogoHitEventDetail>} logohit - Another logo in the scene was hit
+ * @property {CustomEvent<ResizeEventDetail>} resize - The arena was resized
+ * @property {CustomEvent<LifecycleEventDetail>} start - The animation started
+ * @property {CustomEvent<LifecycleEventDetail>} stop - The animation stopped
+ * @property {CustomEvent<LifecycleEventDetail>} pause - The animation was paused
+ * @property {CustomEvent<LifecycleEventDetail>} resume - The animation was resumed
+ * @property {CustomEvent<LifecycleEventDetail>} grab - The user grabbed the logo
+ * @property {CustomEvent<LifecycleEventDetail>} release - The user released the logo, with its new angle
+ * @property {CustomEvent<LifecycleEventDetail>} screensaverstart - The screensaver started after a while without input
+ * @property {CustomEvent<LifecycleEventDetail>} screensaverstop - The screensaver ended on input or cleanup
+ */
+
+/**
+ * Class to handle logo animation and related functionality using requestAnimationFrame.
+ * Dispatches the events described by {@link LogoAnimatorEventMap}.
+ */
+class LogoAnimator extends EventTarget {
   /**
-   * @param {string} logoId - The ID of the logo element
+   * @param {string|HTMLElement} logo - The logo element or its ID
    * @param {Object} options - Configuration options
    * @param {number} [options.angle=40] - Angle in degrees
-   * @param {number} [options.traversalDuration=4] - Time in seconds to traverse window diagonally
-   * @param {boolean} [options.debug=false] - Enable debug mode
+   * @param {number} [options.traversalDuration=4] - Time in seconds to traverse the arena diagonally
+   * @param {HTMLElement|string|null} [options.arena=null] - Element, or its ID, the logo bounces in instead of the window
+   * @param {boolean} [options.debug=false] - Add the debugger with debug mode on, it can be toggled off from its button
+   * @param {'transform'|'css-variables'} [options.motion='transform'] - Move the logo with an analytic transform or the CSS keyframe animation
+   * @param {import('./motion-models.js').MotionModelName} [options.model='linear'] - How the logo moves between hits, curved paths and spin are simulated frame by frame
+   * @param {import('./motion-models.js').MotionModelOptions} [options.modelOptions={}] - Gravity, friction and spin settings of the model
+   * @param {'dom'|'canvas'} [options.renderer='dom'] - Draw the logo as its `<img>` element or on a 2D canvas
+   * @param {string} [options.canvasId='canvas'] - ID of the canvas used by the canvas renderer
+   * @param {import('./logo-recolorer.js').RecolorOptions|boolean} [options.recolor=false] - Recolor the SVG logo on every wall and corner hit
+   * @param {number} [options.timeScale=1] - Playback speed, 0.5 is half speed
+   * @param {boolean} [options.pauseWhenHidden=true] - Pause while the page is hidden
+   * @param {ReducedMotionFallback} [options.reducedMotion='static'] - Fallback when the user prefers reduced motion
+   * @param {boolean} [options.interactive=false] - Let the user grab, drag and fling the logo
+   * @param {boolean} [options.colliders=true] - Bounce off elements in the arena marked with `data-collider`
+   * @param {'box'|'hull'} [options.hitShape='box'] - Collide with the bounding box, or with the convex hull of the opaque pixels of the image
+   * @param {import('./logo-particles.js').ParticleOptions|boolean} [options.particles=false] - Fire confetti from the corner of a corner hit and sparks on wall hits
+   * @param {import('./logo-sounds.js').SoundOptions|boolean} [options.sound=false] - Play synthesized sounds on wall and corner hits, muted until the page unmutes them
+   * @param {import('./logo-stats.js').StatsOptions|boolean} [options.stats=false] - Keep hit statistics in localStorage
+   * @param {import('./logo-screensaver.js').ScreensaverOptions|boolean} [options.screensaver=false] - Go fullscreen and keep the screen on after a while without input
+   * @param {import('./logo-session.js').SessionOptions|boolean} [options.session=false] - Keep the state in sessionStorage and continue from it after a reload
+   * @param {import('./logo-keymap.js').KeymapOptions|boolean} [options.keys=true] - Keyboard shortcuts, with changed bindings by action
+   * @param {number} [options.logoWidthRatio=0.2] - Logo width as a share of the arena width
+   * @param {number} [options.minLogoWidth=200] - Smallest logo width in pixels
+   * @param {number} [options.glowDuration=2000] - Duration of the corner-hit glow in milliseconds
+   * @param {number} [options.resizeDebounce=250] - Wait after the last resize event before measuring again, in milliseconds
    */
-  constructor(logoId, options = {}) {
-    const { angle = 40, traversalDuration = 4, debug = false } = options;
+  constructor(logo, options = {}) {
+    super();
+
+    const {
+      angle = 40,
+      traversalDuration = 4,
+      arena = null,
+      debug = false,
+      motion = 'transform',
+      model = 'linear',
+      modelOptions = {},
+      renderer = 'dom',
+      canvasId = 'canvas',
+      recolor = false,
+      timeScale = 1,
+      pauseWhenHidden = true,
+      reducedMotion = 'static',
+      interactive = false,
+      colliders = true,
+      hitShape = 'box',
+      particles = false,
+      sound = false,
+      stats = false,
+      screensaver = false,
+      session = false,
+      keys = true,
+      logoWidthRatio = 0.2,
+      minLogoWidth = 200,
+      glowDuration = 2000,
+      resizeDebounce = 250,
+    } = options;
+
+    // Options as given, the base for `getConfig()`
+    this.options = options;
 
     // DOM elements
-    this.logo = document.getElementById(logoId);
+    this.logo = typeof logo === 'string' ? document.getElementById(logo) : logo;
     this.body = document.body;
 
     if (!this.logo) {
-      throw new Error(`Logo element with ID "${logoId}" not found`);
+      throw new Error(`Logo element with ID "${logo}" not found`);
+    }
+
+    // Area the logo bounces in, the window by default
+    const arenaElement =
+      typeof arena === 'string' ? document.getElementById(arena) : arena;
+    if (typeof arena === 'string' && !arenaElement) {
+      throw new Error(`Arena element with ID "${arena}" not found`);
     }
+    this.arena = new LogoArena(arenaElement);
 
     // Add logo class for styling
     this.logo.classList.add('logo');
 
     // Create unique identifier for CSS variables
-    this.uniqueId = `logo-${logoId}`;
+    instanceCount++;
+    this.uniqueId = `logo-${this.logo.id || instanceCount}`;
     this.logo.style.setProperty('--instance-id', this.uniqueId);
 
+    // Rendering backend
+    this.renderer =
+      renderer === 'canvas'
+        ? new CanvasRenderer(this.logo, { canvasId, arena: this.arena })
+        : new DomRenderer(this.logo);
+
+    // Physics engine holding position, angle and speed
+    this.engine = new BounceEngine({
+      width: this.arena.width,
+      height: this.arena.height,
+    });
+
     // Physics settings
     this.angle = angle * (Math.PI / 180);
     this.traversalDuration = traversalDuration;
@@ -54,12 +242,66 @@ class LogoAnimator {
     // Cached dimensions
     /** @type {LogoDimensions|null} */
     this.logoDimensions = null;
+    this.logoWidthRatio = logoWidthRatio;
+    this.minLogoWidth = minLogoWidth;
+    this.hitShape = hitShape;
+
+    // Effect settings
+    this.glowDuration = glowDuration;
+    this.resizeDebounce = resizeDebounce;
+
+    // Motion strategy, the CSS keyframe animation only moves DOM elements in
+    // straight lines, curved paths and spin are simulated
+    this.motionModel = createMotionModel(model, modelOptions);
+    this.motionStrategy =
+      !this.motionModel.isStraight || this.motionModel.spin > 0
+        ? new ModelMotion(this, this.motionModel)
+        : motion === 'css-variables' && renderer === 'dom'
+        ? new CssVariablesMotion(this)
+        : new TransformMotion(this);
+
+    // DVD-style recoloring on every hit
+    this.recolorer = recolor
+      ? new LogoRecolorer(this, recolor === true ? {} : recolor)
+      : null;
+
+    // Confetti and sparks on hits
+    this.particles = particles
+      ? new LogoParticles(this, particles === true ? {} : particles)
+      : null;
+
+    // Bonk and fanfare sounds on hits
+    this.sounds = sound
+      ? new LogoSounds(this, sound === true ? {} : sound)
+      : null;
+
+    // Hit statistics that survive a reload
+    this.stats = stats
+      ? new LogoStats(this, stats === true ? {} : stats)
+      : null;
 
-    // Position tracking
-    this.currentX = 0;
-    this.currentY = 0;
+    // Fullscreen screensaver after a while without input
+    this.screensaver = screensaver
+      ? new LogoScreensaver(this, screensaver === true ? {} : screensaver)
+      : null;
+
+    // State that survives a reload
+    this.session = session
+      ? new LogoSession(this, session === true ? {} : session)
+      : null;
+
+    // Keyboard shortcuts and their help overlay
+    this.keymap = keys ? new LogoKeymap(this, keys === true ? {} : keys) : null;
 
-    this.updateCSSVariables();
+    // Grab, drag and fling with mouse or touch
+    this.dragger = interactive ? new LogoDragger(this) : null;
+
+    // Page elements to bounce off
+    this.colliders = colliders ? new LogoColliders(this) : null;
+
+    // Scene that drives this animator from its shared loop, if any
+    /** @type {import('./logo-scene.js').default|null} */
+    this.scene = null;
 
     // Animation state
     this.isAnimating = false;
@@ -67,6 +309,22 @@ class LogoAnimator {
     this.animationFrameId = null;
     this.lastFrameTime = 0;
 
+    // Animation clock in milliseconds, stands still while paused
+    this.time = 0;
+    this.timeScale = 1;
+    this.setTimeScale(timeScale);
+    this.isPaused = false;
+    this.pauseWhenHidden = pauseWhenHidden;
+    this.isPausedByVisibility = false;
+
+    // Reduced motion, follows the media query while animating
+    this.reducedMotion = reducedMotion;
+    this.reducedMotionQuery = window.matchMedia(
+      '(prefers-reduced-motion: reduce)'
+    );
+    this.isReducedMotion = false;
+    this.crossfadeStart = 0;
+
     // FPS tracking
     this.frameCount = 0;
     this.lastFpsUpdate = 0;
@@ -75,40 +333,225 @@ class LogoAnimator {
 
     // Debug setup
     this.debugger = debug
-      ? new LogoDebugger(this.logo, {
-          enabledByDefault:
-            window.location.hostname === 'localhost' ||
-            window.location.hostname === '127.0.0.1' ||
-            window.location.hostname === '',
-        })
+      ? new LogoDebugger(this.logo, { enabledByDefault: true })
       : null;
 
     /** @type {DebouncedFunction} */
-    this.debouncedResize = /** @type {DebouncedFunction} */ (
+    this.debouncedResize = this.createDebouncedResize(resizeDebounce);
+
+    // Bind methods
+    this.initializeLogoDimensions = this.initializeLogoDimensions.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.handleArenaChange = this.handleArenaChange.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleReducedMotionChange = this.handleReducedMotionChange.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.mainLoop = this.mainLoop.bind(this);
+
+    // Internal reactions go through the same events as external ones
+    this.addEventListener('cornerhit', () => this.toggleGlow());
+    this.addEventListener('wallhit', () => this.recolorer?.recolor());
+    this.addEventListener('cornerhit', () => this.recolorer?.recolor());
+    this.addEventListener('wallhit', () => this.stats?.record('wall'));
+    this.addEventListener('cornerhit', () => this.stats?.record('corner'));
+
+    if (this.particles) {
+      const particles = this.particles;
+      /** @param {Event} event - A wall or corner hit event */
+      const burst = (event) =>
+        particles.emit(/** @type {CustomEvent<HitEventDetail>} */ (event).detail);
+      this.addEventListener('wallhit', burst);
+      this.addEventListener('cornerhit', burst);
+    }
+
+    if (this.sounds) {
+      const sounds = this.sounds;
+      /** @param {Event} event - A wall or corner hit event */
+      const playHit = (event) =>
+        sounds.play(/** @type {CustomEvent<HitEventDetail>} */ (event).detail);
+      this.addEventListener('wallhit', playHit);
+      this.addEventListener('cornerhit', playHit);
+    }
+
+    if (this.debugger) {
+      const logger = this.debugger;
+      this.addEventListener('cornerhit', () =>
+        logger.log(`Corner hit detected! Reversing direction`, {
+          category: 'collision',
+        })
+      );
+      for (const type of ['start', 'stop', 'pause', 'resume', 'resize']) {
+        this.addEventListener(type, (event) =>
+          logger.log(`Animation ${type}`, {
+            level: 'debug',
+            category: type === 'resize' ? 'resize' : 'lifecycle',
+            data: /** @type {CustomEvent} */ (event).detail,
+          })
+        );
+      }
+
+      /**
+       * Mark a hit on the debug overlay
+       * @param {Event} event - A hit event
+       */
+      const markHit = (event) => {
+        const { position } = /** @type {CustomEvent<{position: {x: number, y: number}}>} */ (
+          event
+        ).detail;
+        const type =
+          event.type === 'cornerhit'
+            ? 'corner'
+            : event.type === 'logohit'
+            ? 'logo'
+            : 'wall';
+        logger.markCollision(position.x, position.y, type);
+      };
+      this.addEventListener('wallhit', markHit);
+      this.addEventListener('cornerhit', markHit);
+      this.addEventListener('logohit', markHit);
+    }
+  }
+
+  /**
+   * Create the handler that measures the logo again once resizing has settled
+   * @param {number} wait - Wait after the last resize event in milliseconds
+   * @returns {DebouncedFunction}
+   */
+  createDebouncedResize(wait) {
+    return /** @type {DebouncedFunction} */ (
       debounce(() => {
         this.initializeLogoDimensions();
         if (this.debugger) {
           this.debugger.log(
-            `Viewport resized: ${window.innerWidth}x${window.innerHeight}`
+            `Arena resized: ${this.arena.width}x${this.arena.height}`,
+            { category: 'resize' }
           );
         }
-      }, 250)
+      }, wait)
     );
+  }
 
-    // Bind methods
-    this.initializeLogoDimensions = this.initializeLogoDimensions.bind(this);
-    this.handleResize = this.handleResize.bind(this);
-    this.mainLoop = this.mainLoop.bind(this);
+  /**
+   * Dispatch an animator event
+   * @template {keyof LogoAnimatorEventMap} K
+   * @param {K} type - Event type
+   * @param {LogoAnimatorEventMap[K]['detail']} detail - Event details
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Dispatch the hit event for a wall or corner collision
+   * @param {CollisionEvent} collision - The collision from the engine
+   * @param {number} timestamp - Frame timestamp
+   */
+  emitCollision(collision, timestamp) {
+    const isCorner = collision.type === 'corner';
+    const vertical = collision.walls.includes('top') ? 'top' : 'bottom';
+    const horizontal = collision.walls.includes('left') ? 'left' : 'right';
+
+    this.emit(isCorner ? 'cornerhit' : 'wallhit', {
+      walls: collision.walls,
+      corner: isCorner ? `${vertical}-${horizontal}` : null,
+      position: { x: collision.x, y: collision.y },
+      windowPosition: this.normalizedToWindow(collision.x, collision.y),
+      angleBefore: collision.angleBefore,
+      angleAfter: collision.angleAfter,
+      timestamp,
+      obstacle: /** @type {Element|undefined} */ (collision.obstacle?.source) ?? null,
+    });
+  }
+
+  /**
+   * Get the details for the start and stop events
+   * @returns {LifecycleEventDetail}
+   */
+  getLifecycleDetail() {
+    return {
+      position: { x: this.currentX, y: this.currentY },
+      angle: this.angle,
+      timestamp: performance.now(),
+    };
+  }
+
+  /**
+   * Current angle in radians
+   * @type {number}
+   */
+  get angle() {
+    return this.engine.angle;
+  }
+
+  set angle(value) {
+    this.engine.angle = value;
+  }
+
+  /**
+   * Current speed in pixels per second
+   * @type {number}
+   */
+  get speed() {
+    return this.engine.speed;
+  }
+
+  set speed(value) {
+    this.engine.speed = value;
+  }
+
+  /**
+   * Current X position in normalized coordinates
+   * @type {number}
+   */
+  get currentX() {
+    return this.engine.x;
+  }
+
+  set currentX(value) {
+    this.engine.x = value;
+  }
+
+  /**
+   * Current Y position in normalized coordinates
+   * @type {number}
+   */
+  get currentY() {
+    return this.engine.y;
+  }
+
+  set currentY(value) {
+    this.engine.y = value;
   }
 
   /**
-   * Calculate speed based on window diagonal and desired traversal duration
+   * Rate the animation clock runs at, the time scale slowed down for a reduced motion drift
+   * @type {number}
+   */
+  get playbackRate() {
+    const isDrifting = this.isReducedMotion && this.reducedMotion === 'drift';
+    return this.timeScale * (isDrifting ? REDUCED_MOTION_DRIFT_RATE : 1);
+  }
+
+  /**
+   * Whether the logo stays in place because it is dragged or because of a reduced motion fallback
+   * @type {boolean}
+   */
+  get isHeld() {
+    return (
+      Boolean(this.dragger?.isDragging) ||
+      (this.isReducedMotion &&
+        (this.reducedMotion === 'static' || this.reducedMotion === 'crossfade'))
+    );
+  }
+
+  /**
+   * Calculate speed based on arena diagonal and desired traversal duration
    * @returns {number} Speed in pixels per second
    */
   calculateSpeedFromDuration() {
-    // Calculate window diagonal
+    // Calculate arena diagonal
     const diagonal = Math.sqrt(
-      Math.pow(window.innerWidth, 2) + Math.pow(window.innerHeight, 2)
+      Math.pow(this.arena.width, 2) + Math.pow(this.arena.height, 2)
     );
 
     // Calculate speed needed to traverse diagonal in specified duration
@@ -120,9 +563,7 @@ class LogoAnimator {
    * @private
    */
   updateLogoDimensionsAndBounds() {
-    console.log('updateLogoDimensionsAndBounds');
-
-    const logoRect = this.logo.getBoundingClientRect();
+    const logoRect = this.renderer.measure();
 
     this.logoDimensions = {
       width: logoRect.width,
@@ -132,17 +573,77 @@ class LogoAnimator {
       topBound: this.leftEnd() + logoRect.height / 2,
       bottomBound: this.rightEnd() - logoRect.height / 2,
     };
+
+    if (this.debugger) {
+      this.debugger.log('Logo measured', {
+        level: 'debug',
+        category: 'resize',
+        data: this.logoDimensions,
+      });
+    }
+  }
+
+  /**
+   * Pass the current arena and logo size to the physics engine
+   */
+  syncEngineBounds() {
+    if (!this.logoDimensions) this.updateLogoDimensionsAndBounds();
+    const dimensions = /** @type {LogoDimensions} */ (this.logoDimensions);
+
+    this.engine.setBounds(this.arena.width, this.arena.height);
+    this.engine.setLogoSize(dimensions.width, dimensions.height);
+
+    // Allow one frame of travel at 60fps as a corner hit, like the per-frame detection
+    this.engine.cornerTolerance = this.speed / 60;
+  }
+
+  /**
+   * Swap the logo element, for example for its inlined SVG
+   * @param {HTMLElement|SVGSVGElement} element - The new logo element
+   */
+  replaceLogoElement(element) {
+    const logo = /** @type {HTMLElement} */ (element);
+
+    if (this.isAnimating) {
+      this.logo.removeEventListener('load', this.initializeLogoDimensions);
+      logo.addEventListener('load', this.initializeLogoDimensions);
+    }
+
+    this.logo = logo;
+    this.renderer.logo = logo;
+    if (this.debugger) this.debugger.logo = logo;
+
+    // Measure the new element on the next frame
+    this.logoDimensions = null;
+  }
+
+  /**
+   * Get the logo width for the current arena
+   * @returns {number} Width in pixels
+   */
+  getBaseLogoWidth() {
+    return Math.max(this.arena.width * this.logoWidthRatio, this.minLogoWidth);
   }
 
   /**
    * Update logo dimensions and position
    */
   initializeLogoDimensions() {
-    const baseWidth = Math.max(window.innerWidth * 0.2, 200);
+    const baseWidth = this.getBaseLogoWidth();
     this.logo.style.width = `${baseWidth}px`;
     this.logo.style.position = 'absolute';
-    this.logo.style.left = '50vw';
-    this.logo.style.top = '50vh';
+    this.positionLogo();
+
+    // Measure the logo again on the next frame
+    this.logoDimensions = null;
+  }
+
+  /**
+   * Anchor the logo at the arena center, motion is applied from there
+   */
+  positionLogo() {
+    this.logo.style.left = `${this.arena.box.centerX}px`;
+    this.logo.style.top = `${this.arena.box.centerY}px`;
   }
 
   /**
@@ -152,10 +653,7 @@ class LogoAnimator {
    * @returns {{x: number, y: number}} Normalized coordinates
    */
   windowToNormalized(x, y) {
-    return {
-      x: x - window.innerWidth / 2,
-      y: y - window.innerHeight / 2,
-    };
+    return this.arena.fromWindow(x, y);
   }
 
   /**
@@ -165,70 +663,33 @@ class LogoAnimator {
    * @returns {{x: number, y: number}} Window coordinates
    */
   normalizedToWindow(x, y) {
-    return {
-      x: x + window.innerWidth / 2,
-      y: y + window.innerHeight / 2,
-    };
+    return this.arena.toWindow(x, y);
   }
 
-  bottomEnd = () => window.innerWidth / 2;
+  bottomEnd = () => this.arena.width / 2;
   topEnd = () => -this.bottomEnd();
-  rightEnd = () => window.innerHeight / 2;
+  rightEnd = () => this.arena.height / 2;
   leftEnd = () => -this.rightEnd();
 
   // Target positions in normalized coordinates
-  targetX = () => {
-    // Calculate how far we need to go to hit the border
-    const dx = Math.cos(this.angle);
-    const dy = Math.sin(this.angle);
-
-    // Find intersection with vertical borders
-    let tx = dx > 0 ? this.bottomEnd() : this.topEnd();
-    let ty = this.currentY + (dy * (tx - this.currentX)) / dx;
-
-    // If we hit horizontal borders first, recalculate
-    if (ty > this.rightEnd() || ty < this.leftEnd()) {
-      ty = dy > 0 ? this.rightEnd() : this.leftEnd();
-      tx = this.currentX + (dx * (ty - this.currentY)) / dy;
-    }
-
-    return tx;
-  };
-
-  targetY = () => {
-    // Calculate how far we need to go to hit the border
-    const dx = Math.cos(this.angle);
-    const dy = Math.sin(this.angle);
-
-    // Find intersection with vertical borders
-    let tx = dx > 0 ? this.bottomEnd() : this.topEnd();
-    let ty = this.currentY + (dy * (tx - this.currentX)) / dx;
-
-    // If we hit horizontal borders first, recalculate
-    if (ty > this.rightEnd() || ty < this.leftEnd()) {
-      ty = dy > 0 ? this.rightEnd() : this.leftEnd();
-      tx = this.currentX + (dx * (ty - this.currentY)) / dy;
-    }
-
-    return ty;
-  };
+  targetX = () => this.engine.getTarget().x;
+  targetY = () => this.engine.getTarget().y;
 
   /**
-   * Update CSS variables for animation
-   * @private
+   * Update CSS variables for the `move-to-target` keyframe animation
    */
   updateCSSVariables() {
     this.logo.classList.remove('animate');
 
-    // Convert normalized coordinates to window coordinates for CSS
-    const startPos = this.normalizedToWindow(this.currentX, this.currentY);
-    const targetPos = this.normalizedToWindow(this.targetX(), this.targetY());
+    // Convert normalized coordinates to CSS positions inside the arena
+    const startPos = this.arena.toLayout(this.currentX, this.currentY);
+    const targetPos = this.arena.toLayout(this.targetX(), this.targetY());
 
     // Calculate distance and required duration for constant speed
     const dx = targetPos.x - startPos.x;
     const dy = targetPos.y - startPos.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
-    const duration = distance / this.speed; // duration in seconds for constant speed
+    const duration = distance / (this.speed * this.playbackRate); // duration in seconds for constant speed
 
     // Set instance-specific CSS variables on the logo element itself
     this.logo.style.setProperty('--start-x', `${startPos.x}px`);
@@ -248,106 +709,78 @@ class LogoAnimator {
   mainLoop(timestamp) {
     if (!this.isAnimating) return;
 
-    const deltaTime = (timestamp - this.lastFrameTime) / 1000;
+    this.update(timestamp);
+
+    this.animationFrameId = requestAnimationFrame(this.mainLoop);
+  }
+
+  /**
+   * Advance the animation by one frame
+   * @param {number} timestamp - Current frame timestamp
+   */
+  update(timestamp) {
+    const frameTime = Math.min(
+      Math.max(0, timestamp - this.lastFrameTime),
+      MAX_FRAME_TIME
+    );
     this.lastFrameTime = timestamp;
+    if (!this.isPaused && !this.isHeld) {
+      this.time += frameTime * this.playbackRate;
+
+      // Colliders pushed by layout shifts, a resting logo does not need them
+      if (this.colliders) {
+        this.colliders.checkLayout(timestamp);
+      }
+    }
+
+    if (this.isReducedMotion && this.reducedMotion === 'crossfade' && !this.isPaused) {
+      this.updateCrossfade(timestamp);
+    }
 
     // Update FPS in debugger
     if (this.debugger) {
       this.debugger.updateFps(timestamp);
     }
 
-    // Get current position from computed style and convert to normalized coordinates
-    const computedStyle = window.getComputedStyle(this.logo);
-    const windowX = parseFloat(computedStyle.left) || window.innerWidth / 2;
-    const windowY = parseFloat(computedStyle.top) || window.innerHeight / 2;
-    const normalized = this.windowToNormalized(windowX, windowY);
+    const collisions = this.motionStrategy.update(this.time);
+    this.renderer.render(timestamp);
 
-    this.currentX = normalized.x;
-    this.currentY = normalized.y;
-
-    // Get logo center position in window coordinates for debugging
-    const logoRect = this.logo.getBoundingClientRect();
-    const centerX = logoRect.left + logoRect.width / 2;
-    const centerY = logoRect.top + logoRect.height / 2;
-
-    // Check for collisions using normalized coordinates
-    if (!this.logoDimensions) this.updateLogoDimensionsAndBounds();
-
-    const dimensions = /** @type {LogoDimensions} */ (this.logoDimensions);
-    const halfWidth = dimensions.width / 2;
-    const halfHeight = dimensions.height / 2;
-
-    // Detect wall hits in normalized coordinates
-    const hitLeft = this.currentX - halfWidth <= this.topEnd();
-    const hitRight = this.currentX + halfWidth >= this.bottomEnd();
-    const hitTop = this.currentY - halfHeight <= this.leftEnd();
-    const hitBottom = this.currentY + halfHeight >= this.rightEnd();
-
-    // Handle wall collisions
-    const MINIMUM_MOVEMENT = 1; // Minimum pixels to move to prevent getting stuck
-
-    // Handle corner hits first
-    if ((hitLeft || hitRight) && (hitTop || hitBottom)) {
-      // For corner hits, reverse both directions at once
-      this.angle = (this.angle + Math.PI) % (2 * Math.PI);
-      if (this.debugger) {
-        this.debugger.log(`Corner hit detected! Reversing direction`);
-      }
-      this.toggleGlow(2000);
-    } else if (hitLeft || hitRight) {
-      // Horizontal reflection
-      this.angle = Math.PI - this.angle;
-      // Ensure we move away from the wall
-      const dx = Math.cos(this.angle);
-      if ((hitLeft && dx < 0) || (hitRight && dx > 0)) {
-        this.angle = (this.angle + Math.PI) % (2 * Math.PI);
-      }
-    } else if (hitTop || hitBottom) {
-      // Vertical reflection
-      this.angle = -this.angle;
-      // Ensure we move away from the wall
-      const dy = Math.sin(this.angle);
-      if ((hitTop && dy < 0) || (hitBottom && dy > 0)) {
-        this.angle = (this.angle + Math.PI) % (2 * Math.PI);
-      }
+    for (const collision of collisions) {
+      this.emitCollision(collision, timestamp);
     }
 
-    // Normalize angle to [0, 2π)
-    if (this.angle < 0) this.angle += 2 * Math.PI;
-    this.angle %= 2 * Math.PI;
-
-    const hit = hitLeft || hitRight || hitTop || hitBottom;
-    if (hit) {
-      // Move slightly away from the wall to prevent sticking
-      const dx = Math.cos(this.angle) * MINIMUM_MOVEMENT;
-      const dy = Math.sin(this.angle) * MINIMUM_MOVEMENT;
-      this.currentX += dx;
-      this.currentY += dy;
+    if (this.particles) {
+      this.particles.render(timestamp);
+    }
 
-      this.updateCSSVariables();
-      if (this.debugger) {
-        this.debugger.log(
-          `Collision handled - new angle: ${(
-            (this.angle * 180) /
-            Math.PI
-          ).toFixed(1)}°`
-        );
-      }
+    if (collisions.length > 0 && this.debugger) {
+      this.debugger.log(
+        `Collision handled - new angle: ${((this.angle * 180) / Math.PI).toFixed(
+          1
+        )}°`,
+        { category: 'collision' }
+      );
     }
 
     // Debug logging
-    if (this.debugger) {
+    if (this.debugger && this.debugger.isDebugMode) {
+      // Get logo center position in window coordinates for debugging
+      const { x: centerX, y: centerY } = this.renderer.getCenter();
+
       // Convert normalized coordinates to window coordinates for debugging
       const windowPos = this.normalizedToWindow(this.currentX, this.currentY);
       const targetPos = this.normalizedToWindow(this.targetX(), this.targetY());
+      const bounds = this.engine.getBounds();
 
       this.debugger.updatePosition({
         currentX: this.currentX,
         currentY: this.currentY,
         centerX,
         centerY,
-        viewportWidth: window.innerWidth,
-        viewportHeight: window.innerHeight,
+        viewportWidth: this.arena.width,
+        viewportHeight: this.arena.height,
+        originX: this.normalizedToWindow(0, 0).x,
+        originY: this.normalizedToWindow(0, 0).y,
         timeLeft: 1.0,
         actualX: windowPos.x,
         actualY: windowPos.y,
@@ -360,31 +793,438 @@ class LogoAnimator {
         angle: this.angle,
         angleDegrees: (this.angle * 180) / Math.PI,
         fps: this.debugger.currentFps,
+        nextCorner: this.motionModel.isStraight ? this.predictNextCorner() : null,
+        cornerLookahead: DEFAULT_MAX_BOUNCES,
+        logoWidth: this.logoDimensions?.width,
+        logoHeight: this.logoDimensions?.height,
+        logoBounds: this.logoDimensions
+          ? {
+              leftBound: bounds.minX,
+              rightBound: bounds.maxX,
+              topBound: bounds.minY,
+              bottomBound: bounds.maxY,
+            }
+          : undefined,
+        hull:
+          this.engine.shape || this.engine.rotation
+            ? this.engine.getHull()
+            : undefined,
+        predictedPath: this.motionModel.isStraight
+          ? predictPath(this.engine, DEBUG_PATH_BOUNCES)
+          : undefined,
+        obstacles: this.engine.obstacles,
       });
     }
-
-    this.animationFrameId = requestAnimationFrame(this.mainLoop);
   }
 
   /**
-   * Handle window resize event
+   * Handle a resize of the arena
    */
   handleResize() {
-    // Update speed based on new window size while maintaining traversal duration
+    // Update speed based on new arena size while maintaining traversal duration
     this.speed = this.calculateSpeedFromDuration();
+    this.positionLogo();
+    this.motionStrategy.restart(this.time);
     this.debouncedResize();
+
+    this.emit('resize', {
+      width: this.arena.width,
+      height: this.arena.height,
+      timestamp: performance.now(),
+    });
+  }
+
+  /**
+   * Measure the arena again after it was resized or scrolled
+   */
+  handleArenaChange() {
+    // The animated CSS position is relative to the previous arena box
+    if (this.motionStrategy instanceof CssVariablesMotion) {
+      this.motionStrategy.readPosition();
+    }
+
+    const previous = this.arena.box;
+    const box = this.arena.measure();
+
+    if (box.width !== previous.width || box.height !== previous.height) {
+      this.handleResize();
+    } else if (
+      box.centerX !== previous.centerX ||
+      box.centerY !== previous.centerY
+    ) {
+      // Scrolling the arena keeps the logo in its visible part
+      this.positionLogo();
+      this.motionStrategy.restart(this.time);
+    }
+
+    // Resizing or scrolling moves the colliders relative to the arena
+    if (this.colliders) {
+      this.colliders.update();
+    }
+  }
+
+  /**
+   * React to keyboard shortcuts
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeydown(event) {
+    if (this.keymap) {
+      this.keymap.handleKeydown(event);
+    }
+  }
+
+  /**
+   * Pause while the page is hidden, the CSS animation would otherwise keep
+   * running without the loop that detects its collisions
+   */
+  handleVisibilityChange() {
+    if (!this.pauseWhenHidden) return;
+
+    if (document.hidden && !this.isPaused) {
+      this.pause();
+      this.isPausedByVisibility = true;
+    } else if (!document.hidden && this.isPausedByVisibility) {
+      this.resume();
+    }
+  }
+
+  /**
+   * Follow a change of the `prefers-reduced-motion` setting
+   */
+  handleReducedMotionChange() {
+    const isReducedMotion =
+      this.reducedMotion !== 'ignore' && this.reducedMotionQuery.matches;
+    if (isReducedMotion === this.isReducedMotion) return;
+
+    this.isReducedMotion = isReducedMotion;
+    this.renderer.setSubtleGlow(isReducedMotion);
+    this.renderer.setOpacity(1);
+    this.crossfadeStart = performance.now();
+
+    // Continue from where the logo is, or from the center when it stands still
+    this.syncPlayState();
+    this.restartMotion(
+      isReducedMotion && this.reducedMotion === 'static' ? { x: 0, y: 0 } : null
+    );
+
+    if (this.debugger) {
+      this.debugger.log(
+        isReducedMotion
+          ? `Reduced motion preferred, showing ${this.reducedMotion} fallback`
+          : 'Reduced motion no longer preferred, bouncing again',
+        { category: 'lifecycle' }
+      );
+    }
+  }
+
+  /**
+   * Fade the logo out, move it to a random spot and fade it in again
+   * @param {number} timestamp - Current frame timestamp
+   */
+  updateCrossfade(timestamp) {
+    let elapsed = timestamp - this.crossfadeStart;
+
+    if (elapsed >= CROSSFADE_INTERVAL) {
+      this.syncEngineBounds();
+      const { minX, maxX, minY, maxY } = this.engine.getBounds();
+      this.engine.setPosition(
+        minX + Math.random() * (maxX - minX),
+        minY + Math.random() * (maxY - minY)
+      );
+      this.motionStrategy.restart(this.time);
+
+      this.crossfadeStart = timestamp;
+      elapsed = 0;
+    }
+
+    const fade =
+      Math.min(elapsed, CROSSFADE_INTERVAL - elapsed) / CROSSFADE_DURATION;
+    this.renderer.setOpacity(Math.min(1, fade));
+  }
+
+  /**
+   * Freeze or run the motion strategy to match the pause and reduced motion state
+   */
+  syncPlayState() {
+    if (this.isPaused || this.isHeld) {
+      this.motionStrategy.pause();
+    } else {
+      this.motionStrategy.resume();
+    }
+  }
+
+  /**
+   * Freeze the logo where it is
+   */
+  pause() {
+    if (!this.isAnimating || this.isPaused) return;
+
+    this.isPaused = true;
+    this.syncPlayState();
+
+    // A scene keeps calling update so paused logos are still drawn
+    if (!this.scene && this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    this.emit('pause', this.getLifecycleDetail());
+  }
+
+  /**
+   * Continue from where the logo was paused
+   */
+  resume() {
+    if (!this.isAnimating || !this.isPaused) return;
+
+    this.isPaused = false;
+    this.isPausedByVisibility = false;
+    this.syncPlayState();
+
+    // Time spent paused does not count as a frame
+    this.lastFrameTime = performance.now();
+    if (!this.scene && this.animationFrameId === null) {
+      this.animationFrameId = requestAnimationFrame(this.mainLoop);
+    }
+
+    this.emit('resume', this.getLifecycleDetail());
+  }
+
+  /**
+   * Change the playback speed without changing the path
+   * @param {number} timeScale - Playback speed, 0.5 is half speed and 2 double speed
+   */
+  setTimeScale(timeScale) {
+    if (!Number.isFinite(timeScale) || timeScale <= 0) {
+      throw new Error(`Time scale must be a positive number, got ${timeScale}`);
+    }
+
+    this.timeScale = timeScale;
+
+    // The CSS animation bakes the speed into its duration
+    if (this.isAnimating) this.restartMotion();
+  }
+
+  /**
+   * Start a new path from where the logo is now, after its angle, speed or size changed
+   * @param {{x: number, y: number}|null} [position=null] - Start from this normalized position instead
+   */
+  restartMotion(position = null) {
+    // The CSS animation is the only place that knows where the logo is
+    if (this.motionStrategy instanceof CssVariablesMotion) {
+      this.motionStrategy.readPosition();
+    }
+    if (position) {
+      this.currentX = position.x;
+      this.currentY = position.y;
+    }
+    this.motionStrategy.restart(this.time);
+  }
+
+  /**
+   * Change the direction of travel
+   * @param {number} degrees - Angle in degrees
+   */
+  setAngle(degrees) {
+    this.angle = degrees * (Math.PI / 180);
+    this.restartMotion();
+  }
+
+  /**
+   * Change the speed through the time needed to cross the viewport diagonally
+   * @param {number} seconds - Traversal duration in seconds
+   */
+  setTraversalDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error(`Traversal duration must be a positive number, got ${seconds}`);
+    }
+
+    this.traversalDuration = seconds;
+    this.speed = this.calculateSpeedFromDuration();
+    this.restartMotion();
+  }
+
+  /**
+   * Change the logo size
+   * @param {number} widthRatio - Logo width as a share of the viewport width
+   * @param {number} [minWidth=this.minLogoWidth] - Smallest logo width in pixels
+   */
+  setLogoSize(widthRatio, minWidth = this.minLogoWidth) {
+    this.logoWidthRatio = widthRatio;
+    this.minLogoWidth = minWidth;
+    this.initializeLogoDimensions();
+    this.restartMotion();
+  }
+
+  /**
+   * Change the wait before measuring again after a resize
+   * @param {number} wait - Wait in milliseconds
+   */
+  setResizeDebounce(wait) {
+    this.debouncedResize.cancel();
+    this.resizeDebounce = wait;
+    this.debouncedResize = this.createDebouncedResize(wait);
+  }
+
+  /**
+   * Describe the settings that can be tuned live from the debug panel
+   * @returns {import('./logo-debugger.js').DebugParameter[]}
+   */
+  getDebugParameters() {
+    return [
+      {
+        label: 'Angle (°)',
+        min: 0,
+        max: 360,
+        step: 1,
+        value: Math.round((this.angle * 180) / Math.PI),
+        onChange: (value) => this.setAngle(value),
+      },
+      {
+        label: 'Traversal (s)',
+        min: 1,
+        max: 30,
+        step: 0.5,
+        value: this.traversalDuration,
+        onChange: (value) => this.setTraversalDuration(value),
+      },
+      {
+        label: 'Size (% width)',
+        min: 5,
+        max: 60,
+        step: 1,
+        value: Math.round(this.logoWidthRatio * 100),
+        onChange: (value) => this.setLogoSize(value / 100),
+      },
+      {
+        label: 'Min size (px)',
+        min: 50,
+        max: 600,
+        step: 10,
+        value: this.minLogoWidth,
+        onChange: (value) => this.setLogoSize(this.logoWidthRatio, value),
+      },
+      {
+        label: 'Glow (ms)',
+        min: 100,
+        max: 5000,
+        step: 100,
+        value: this.glowDuration,
+        onChange: (value) => {
+          this.glowDuration = value;
+        },
+      },
+      {
+        label: 'Debounce (ms)',
+        min: 0,
+        max: 2000,
+        step: 50,
+        value: this.resizeDebounce,
+        onChange: (value) => this.setResizeDebounce(value),
+      },
+    ];
+  }
+
+  /**
+   * Get the current settings as constructor options
+   * @returns {Record<string, unknown>} Options that recreate this animator as it is tuned now
+   */
+  getConfig() {
+    return {
+      ...this.options,
+      angle: Number(((this.angle * 180) / Math.PI).toFixed(1)),
+      traversalDuration: this.traversalDuration,
+      logoWidthRatio: this.logoWidthRatio,
+      minLogoWidth: this.minLogoWidth,
+      glowDuration: this.glowDuration,
+      resizeDebounce: this.resizeDebounce,
+    };
+  }
+
+  /**
+   * Get the state of the animation, to continue it later with `setState()`
+   * @returns {import('./logo-session.js').AnimatorState}
+   */
+  getState() {
+    // The CSS animation is the only place that knows where the logo is
+    if (this.motionStrategy instanceof CssVariablesMotion) {
+      this.motionStrategy.readPosition();
+    }
+
+    return {
+      x: this.currentX,
+      y: this.currentY,
+      angle: this.angle,
+      speed: this.speed,
+      arenaWidth: this.arena.width,
+      arenaHeight: this.arena.height,
+      timeScale: this.timeScale,
+      // A hidden page pauses itself and resumes when it is shown again
+      isPaused: this.isPaused && !this.isPausedByVisibility,
+      isGlowing: this.renderer.isGlowing,
+      color: this.recolorer ? this.recolorer.getState() : null,
+    };
+  }
+
+  /**
+   * Continue the animation from a state, taken in an arena of any size
+   * @param {import('./logo-session.js').AnimatorState} state - The state from `getState()`
+   */
+  setState(state) {
+    const { x, y, angle, speed } = rescaleState(
+      state,
+      this.arena.width,
+      this.arena.height
+    );
+    this.syncEngineBounds();
+    const { minX, maxX, minY, maxY } = this.engine.getBounds();
+
+    this.setTimeScale(state.timeScale);
+    this.angle = angle;
+    this.speed = speed;
+    this.restartMotion({
+      x: Math.min(Math.max(x, minX), maxX),
+      y: Math.min(Math.max(y, minY), maxY),
+    });
+
+    if (this.recolorer && state.color) {
+      this.recolorer.setState(state.color);
+    }
+    if (state.isGlowing) {
+      this.toggleGlow();
+    }
+    if (state.isPaused) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * Advance a paused animation frame by frame, pausing it first if it runs
+   * @param {number} [frames=1] - Number of 60fps frames to advance
+   */
+  step(frames = 1) {
+    if (!this.isAnimating) return;
+    this.pause();
+
+    for (let i = 0; i < frames; i++) {
+      this.time += STEP_FRAME_TIME * this.playbackRate;
+      this.motionStrategy.seek(STEP_FRAME_TIME);
+      this.update(performance.now());
+    }
   }
 
   /**
    * Toggle glow effect on the logo
-   * @param {number} duration - Duration of the glow effect in milliseconds
+   * @param {number} [duration=this.glowDuration] - Duration of the glow effect in milliseconds
    */
-  toggleGlow(duration = 2000) {
-    if (this.logo.classList.contains('glow')) return;
+  toggleGlow(duration = this.glowDuration) {
+    if (this.renderer.isGlowing) return;
 
-    this.logo.classList.add('glow');
+    this.renderer.setGlow(true);
     setTimeout(() => {
-      this.logo.classList.remove('glow');
+      this.renderer.setGlow(false);
     }, duration);
   }
 
@@ -397,21 +1237,11 @@ class LogoAnimator {
     const dx = Math.cos(this.angle);
     const dy = Math.sin(this.angle);
 
-    if (!this.logoDimensions) this.updateLogoDimensionsAndBounds();
-    const dimensions = /** @type {LogoDimensions} */ (this.logoDimensions);
-    const halfWidth = dimensions.width / 2;
-    const halfHeight = dimensions.height / 2;
-
-    // Find nearest corner based on current direction, accounting for logo dimensions
-    const targetX =
-      dx > 0
-        ? this.bottomEnd() - halfWidth // right wall minus half width
-        : this.topEnd() + halfWidth; // left wall plus half width
-
-    const targetY =
-      dy > 0
-        ? this.rightEnd() - halfHeight // bottom wall minus half height
-        : this.leftEnd() + halfHeight; // top wall plus half height
+    // Find nearest corner based on current direction, accounting for the logo outline
+    this.syncEngineBounds();
+    const { minX, maxX, minY, maxY } = this.engine.getBounds();
+    const targetX = dx > 0 ? maxX : minX;
+    const targetY = dy > 0 ? maxY : minY;
 
     // Calculate angle to that corner
     const deltaX = targetX - this.currentX;
@@ -429,7 +1259,7 @@ class LogoAnimator {
    */
   targetCorner() {
     this.angle = this.calculateCornerAngle();
-    this.updateCSSVariables();
+    this.motionStrategy.restart(this.time);
 
     if (this.debugger) {
       this.debugger.log(
@@ -444,6 +1274,72 @@ class LogoAnimator {
     }
   }
 
+  /**
+   * Predict the next corner hit on the current path
+   * @param {number} [maxBounces=DEFAULT_MAX_BOUNCES] - Wall hits to look ahead
+   * @returns {CornerPrediction|null} The next corner hit, or null if the path does not reach one
+   */
+  predictNextCorner(maxBounces = DEFAULT_MAX_BOUNCES) {
+    this.syncEngineBounds();
+    return predictCornerHit(this.engine, {
+      maxBounces,
+      tolerance: this.engine.cornerTolerance,
+      minimumMovement: this.engine.minimumMovement,
+    });
+  }
+
+  /**
+   * Nudge the angle as little as possible so a corner is hit within the given bounces
+   * @param {number} maxBounces - Maximum wall hits before the corner hit
+   */
+  nudgeToCorner(maxBounces) {
+    this.syncEngineBounds();
+    const result = findCornerAngle(this.engine, maxBounces);
+
+    if (!result) {
+      if (this.debugger) {
+        this.debugger.log('No room to bounce, cannot target a corner', {
+          level: 'warn',
+        });
+      }
+      return;
+    }
+
+    this.angle = result.angle;
+    this.motionStrategy.restart(this.time);
+
+    if (this.debugger) {
+      this.debugger.log(
+        `Angle nudged by ${((result.delta * 180) / Math.PI).toFixed(2)}° ` +
+          `to hit ${result.corner} after ${result.bounces} bounces`
+      );
+    }
+  }
+
+  /**
+   * Trace the outline of the logo image and collide with it from now on
+   * @returns {Promise<void>}
+   */
+  async loadHitShape() {
+    if (!(this.logo instanceof HTMLImageElement)) {
+      throw new Error('Hull collision needs an <img> logo to sample');
+    }
+
+    const shape = await traceHitShape(this.logo);
+    if (!this.isAnimating) return;
+
+    this.engine.setShape(shape);
+    this.restartMotion();
+
+    if (this.debugger) {
+      this.debugger.log(`Hit shape traced with ${shape.length} points`, {
+        level: 'debug',
+        category: 'collision',
+        data: shape,
+      });
+    }
+  }
+
   /**
    * Initialize the animation
    */
@@ -454,25 +1350,79 @@ class LogoAnimator {
     if (this.debugger) {
       this.debugger.initialize();
       this.debugger.setTargetCornerCallback(() => this.targetCorner());
+      this.debugger.setNudgeToCornerCallback((maxBounces) =>
+        this.nudgeToCorner(maxBounces)
+      );
+      this.debugger.setParameters(this.getDebugParameters());
+      this.debugger.setCopyConfigCallback(() => this.getConfig());
     }
 
-    // Set initial dimensions and update CSS variables
+    // Set initial dimensions and start moving
     this.initializeLogoDimensions();
-    this.updateCSSVariables();
+    this.motionStrategy.start(this.time);
+
+    // Trace the image before it is inlined for recoloring, the box is used meanwhile
+    if (this.hitShape === 'hull') {
+      this.loadHitShape().catch((error) => {
+        console.warn('Hull collision disabled, using the bounding box:', error);
+      });
+    }
+
+    // Inline the SVG for recoloring, the image keeps moving meanwhile
+    if (this.recolorer) {
+      this.recolorer.initialize().catch((error) => {
+        console.warn('Logo recoloring disabled:', error);
+        this.recolorer = null;
+      });
+    }
+
+    if (this.dragger) {
+      this.dragger.initialize();
+    }
+
+    if (this.stats) {
+      this.stats.initialize();
+    }
+
+    if (this.colliders) {
+      this.colliders.initialize();
+    }
+
+    if (this.screensaver) {
+      this.screensaver.initialize();
+    }
+
+    if (this.particles) {
+      this.particles.initialize();
+    }
 
     // Event listeners
-    window.addEventListener('resize', this.handleResize);
+    this.arena.observe(this.handleArenaChange);
     this.logo.addEventListener('load', this.initializeLogoDimensions);
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'g' || e.key === 'G') {
-        this.toggleGlow();
-      }
-    });
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.reducedMotionQuery.addEventListener(
+      'change',
+      this.handleReducedMotionChange
+    );
+    document.addEventListener('keydown', this.handleKeydown);
 
-    // Start animation loop
+    // Start animation loop, a scene runs one shared loop instead
     this.isAnimating = true;
     this.lastFrameTime = performance.now();
-    this.animationFrameId = requestAnimationFrame(this.mainLoop);
+    if (!this.scene) {
+      this.animationFrameId = requestAnimationFrame(this.mainLoop);
+    }
+
+    this.emit('start', this.getLifecycleDetail());
+
+    // Continue where the last page load left off
+    if (this.session) {
+      this.session.initialize();
+    }
+
+    // The page may already be hidden or prefer reduced motion from the start
+    this.handleVisibilityChange();
+    this.handleReducedMotionChange();
   }
 
   /**
@@ -483,19 +1433,74 @@ class LogoAnimator {
     this.isAnimating = false;
     if (this.animationFrameId !== null) {
       cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.isPaused = false;
+    this.isPausedByVisibility = false;
+    this.isReducedMotion = false;
+    this.logo.classList.remove('paused');
+
+    if (this.dragger) {
+      this.dragger.cleanup();
+    }
+
+    if (this.sounds) {
+      this.sounds.cleanup();
+    }
+
+    if (this.stats) {
+      this.stats.cleanup();
+    }
+
+    if (this.colliders) {
+      this.colliders.cleanup();
+    }
+
+    if (this.screensaver) {
+      this.screensaver.cleanup();
+    }
+
+    if (this.particles) {
+      this.particles.cleanup();
+    }
+
+    if (this.keymap) {
+      this.keymap.cleanup();
+    }
+
+    if (this.session) {
+      this.session.cleanup();
+    }
+
+    // Put the original image back before removing its listeners
+    if (this.recolorer) {
+      this.recolorer.cleanup();
     }
 
     // Remove event listeners
-    window.removeEventListener('resize', this.handleResize);
+    this.arena.disconnect();
     this.logo.removeEventListener('load', this.initializeLogoDimensions);
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener(
+      'visibilitychange',
+      this.handleVisibilityChange
+    );
+    this.reducedMotionQuery.removeEventListener(
+      'change',
+      this.handleReducedMotionChange
+    );
 
     // Cancel debounced resize
     this.debouncedResize.cancel();
 
+    this.renderer.destroy();
+
     // Clean up debugger if enabled
     if (this.debugger) {
       this.debugger.cleanup();
     }
+
+    this.emit('stop', this.getLifecycleDetail());
   }
 }
 
@@ -0,0 +1,229 @@
+// @ts-check
+
+/**
+ * @typedef {Object} ArenaBox
+ * @property {number} left - Window X coordinate of the visible content box
+ * @property {number} top - Window Y coordinate of the visible content box
+ * @property {number} width - Width the logos move in
+ * @property {number} height - Height the logos move in
+ * @property {number} centerX - Center as a CSS `left` of an absolutely positioned child
+ * @property {number} centerY - Center as a CSS `top` of an absolutely positioned child
+ */
+
+/**
+ * @typedef {Object} ArenaLayout
+ * @property {{left: number, top: number}} rect - Window position of the border box
+ * @property {{left: number, top: number}} border - Border widths
+ * @property {{left: number, right: number, top: number, bottom: number}} padding - Padding widths
+ * @property {number} clientWidth - Padding box width without scrollbar
+ * @property {number} clientHeight - Padding box height without scrollbar
+ * @property {number} scrollLeft - Horizontal scroll offset
+ * @property {number} scrollTop - Vertical scroll offset
+ */
+
+/**
+ * Compute the visible content box of an arena element. Absolutely positioned
+ * children are placed from the padding edge of the scrolled content, so the
+ * scroll offset moves the center, not the window position.
+ * @param {ArenaLayout} layout - Measured layout of the element
+ * @returns {ArenaBox}
+ */
+export function contentBox(layout) {
+  const { rect, border, padding } = layout;
+  const width = Math.max(0, layout.clientWidth - padding.left - padding.right);
+  const height = Math.max(0, layout.clientHeight - padding.top - padding.bottom);
+
+  return {
+    left: rect.left + border.left + padding.left,
+    top: rect.top + border.top + padding.top,
+    width,
+    height,
+    centerX: layout.scrollLeft + padding.left + width / 2,
+    centerY: layout.scrollTop + padding.top + height / 2,
+  };
+}
+
+/**
+ * The area logos bounce in, either an element or the whole window. Converts
+ * between window coordinates and normalized coordinates (0,0 at the center)
+ * and reports size and scroll changes.
+ */
+class LogoArena {
+  /**
+   * @param {HTMLElement|null} [element=null] - Element to bounce in, the window if omitted
+   */
+  constructor(element = null) {
+    this.element = element;
+
+    /** @type {ArenaBox} */
+    this.box = this.measure();
+
+    /** @type {(() => void)|null} */
+    this.callback = null;
+    /** @type {ResizeObserver|null} */
+    this.resizeObserver = null;
+
+    // Inline position set to make the element the logos' containing block
+    this.addedPosition = false;
+
+    // Bind methods
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  /**
+   * Width the logos move in
+   * @returns {number}
+   */
+  get width() {
+    return this.box.width;
+  }
+
+  /**
+   * Height the logos move in
+   * @returns {number}
+   */
+  get height() {
+    return this.box.height;
+  }
+
+  /**
+   * Measure the arena again
+   * @returns {ArenaBox} The new box
+   */
+  measure() {
+    const { element } = this;
+
+    if (!element) {
+      this.box = {
+        left: 0,
+        top: 0,
+        width: window.innerWidth,
+        height: window.innerHeight,
+        centerX: window.innerWidth / 2,
+        centerY: window.innerHeight / 2,
+      };
+      return this.box;
+    }
+
+    const style = window.getComputedStyle(element);
+    this.box = contentBox({
+      rect: element.getBoundingClientRect(),
+      border: {
+        left: parseFloat(style.borderLeftWidth) || 0,
+        top: parseFloat(style.borderTopWidth) || 0,
+      },
+      padding: {
+        left: parseFloat(style.paddingLeft) || 0,
+        right: parseFloat(style.paddingRight) || 0,
+        top: parseFloat(style.paddingTop) || 0,
+        bottom: parseFloat(style.paddingBottom) || 0,
+      },
+      clientWidth: element.clientWidth,
+      clientHeight: element.clientHeight,
+      scrollLeft: element.scrollLeft,
+      scrollTop: element.scrollTop,
+    });
+    return this.box;
+  }
+
+  /**
+   * Convert window coordinates to normalized coordinates (0,0 at center)
+   * @param {number} x - Window X coordinate
+   * @param {number} y - Window Y coordinate
+   * @returns {{x: number, y: number}} Normalized coordinates
+   */
+  fromWindow(x, y) {
+    const { left, top, width, height } = this.box;
+    return { x: x - left - width / 2, y: y - top - height / 2 };
+  }
+
+  /**
+   * Convert normalized coordinates to window coordinates
+   * @param {number} x - Normalized X coordinate
+   * @param {number} y - Normalized Y coordinate
+   * @returns {{x: number, y: number}} Window coordinates
+   */
+  toWindow(x, y) {
+    const { left, top, width, height } = this.box;
+    return { x: x + left + width / 2, y: y + top + height / 2 };
+  }
+
+  /**
+   * Convert normalized coordinates to the CSS `left` and `top` of an
+   * absolutely positioned child
+   * @param {number} x - Normalized X coordinate
+   * @param {number} y - Normalized Y coordinate
+   * @returns {{x: number, y: number}} CSS position in pixels
+   */
+  toLayout(x, y) {
+    return { x: x + this.box.centerX, y: y + this.box.centerY };
+  }
+
+  /**
+   * Convert the CSS `left` and `top` of an absolutely positioned child to
+   * normalized coordinates
+   * @param {number} x - CSS left in pixels
+   * @param {number} y - CSS top in pixels
+   * @returns {{x: number, y: number}} Normalized coordinates
+   */
+  fromLayout(x, y) {
+    return { x: x - this.box.centerX, y: y - this.box.centerY };
+  }
+
+  /**
+   * Start reporting changes of size or scroll position. An element is watched
+   * with a ResizeObserver, the window with its resize event.
+   * @param {() => void} callback - Called after a change, measure to see what changed
+   */
+  observe(callback) {
+    this.disconnect();
+    this.callback = callback;
+
+    const { element } = this;
+    if (element) {
+      if (window.getComputedStyle(element).position === 'static') {
+        element.style.position = 'relative';
+        this.addedPosition = true;
+      }
+
+      this.resizeObserver = new ResizeObserver(this.handleChange);
+      this.resizeObserver.observe(element);
+    } else {
+      window.addEventListener('resize', this.handleChange);
+    }
+
+    // Scrolling the page or the arena moves the arena in the window
+    window.addEventListener('scroll', this.handleChange, {
+      capture: true,
+      passive: true,
+    });
+  }
+
+  /**
+   * Pass a change on to the observer
+   */
+  handleChange() {
+    if (this.callback) this.callback();
+  }
+
+  /**
+   * Stop reporting changes
+   */
+  disconnect() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    window.removeEventListener('resize', this.handleChange);
+    window.removeEventListener('scroll', this.handleChange, { capture: true });
+
+    if (this.addedPosition && this.element) {
+      this.element.style.position = '';
+      this.addedPosition = false;
+    }
+
+    this.callback = null;
+  }
+}
+
+export default LogoArena;
@@ -0,0 +1,63 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { contentBox } from './logo-arena.js';
+
+/** @type {import('./logo-arena.js').ArenaLayout} */
+const LAYOUT = {
+  rect: { left: 100, top: 50 },
+  border: { left: 0, top: 0 },
+  padding: { left: 0, right: 0, top: 0, bottom: 0 },
+  clientWidth: 400,
+  clientHeight: 300,
+  scrollLeft: 0,
+  scrollTop: 0,
+};
+
+describe('contentBox', () => {
+  test('uses the client size of a plain element', () => {
+    expect(contentBox(LAYOUT)).toEqual({
+      left: 100,
+      top: 50,
+      width: 400,
+      height: 300,
+      centerX: 200,
+      centerY: 150,
+    });
+  });
+
+  test('leaves out borders and padding', () => {
+    const box = contentBox({
+      ...LAYOUT,
+      border: { left: 2, top: 3 },
+      padding: { left: 10, right: 30, top: 5, bottom: 15 },
+    });
+
+    expect(box.left).toBe(112);
+    expect(box.top).toBe(58);
+    expect(box.width).toBe(360);
+    expect(box.height).toBe(280);
+    // Positioned children start at the padding edge, inside the border
+    expect(box.centerX).toBe(10 + 180);
+    expect(box.centerY).toBe(5 + 140);
+  });
+
+  test('moves the center with the scroll offset but not the window position', () => {
+    const box = contentBox({ ...LAYOUT, scrollLeft: 40, scrollTop: 500 });
+
+    expect(box.left).toBe(100);
+    expect(box.top).toBe(50);
+    expect(box.centerX).toBe(240);
+    expect(box.centerY).toBe(650);
+  });
+
+  test('never gets a negative size', () => {
+    const box = contentBox({
+      ...LAYOUT,
+      clientWidth: 10,
+      padding: { left: 20, right: 20, top: 0, bottom: 0 },
+    });
+
+    expect(box.width).toBe(0);
+  });
+});
@@ -0,0 +1,190 @@
+// @ts-check
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ * @typedef {import('./bounce-engine.js').Obstacle} Obstacle
+ */
+
+/** Elements with this attribute are obstacles the logo bounces off */
+export const COLLIDER_SELECTOR = '[data-collider]';
+
+/**
+ * Time between two measurements of the colliders from the animation loop, in
+ * milliseconds. Layout shifts move elements without resizing them, and no
+ * observer reports that.
+ */
+const LAYOUT_CHECK_INTERVAL = 500;
+
+/**
+ * Turn the window rectangle of an element into an obstacle
+ * @param {{left: number, right: number, top: number, bottom: number}} rect - Rectangle in window coordinates
+ * @param {(x: number, y: number) => {x: number, y: number}} toNormalized - Converts window to normalized coordinates
+ * @param {unknown} [source] - What the obstacle stands for
+ * @returns {Obstacle|null} The obstacle, or null for an element without size
+ */
+export function rectToObstacle(rect, toNormalized, source) {
+  if (rect.right <= rect.left || rect.bottom <= rect.top) return null;
+
+  const topLeft = toNormalized(rect.left, rect.top);
+  const bottomRight = toNormalized(rect.right, rect.bottom);
+  return {
+    left: topLeft.x,
+    right: bottomRight.x,
+    top: topLeft.y,
+    bottom: bottomRight.y,
+    source,
+  };
+}
+
+/**
+ * Check whether two obstacle lists describe the same rectangles
+ * @param {Obstacle[]} a - First list
+ * @param {Obstacle[]} b - Second list
+ * @returns {boolean}
+ */
+function sameObstacles(a, b) {
+  return (
+    a.length === b.length &&
+    a.every((obstacle, i) => {
+      const other = b[i];
+      return (
+        other !== undefined &&
+        obstacle.source === other.source &&
+        obstacle.left === other.left &&
+        obstacle.right === other.right &&
+        obstacle.top === other.top &&
+        obstacle.bottom === other.bottom
+      );
+    })
+  );
+}
+
+/**
+ * Registers page elements marked with `data-collider` as obstacles of the
+ * engine and keeps them up to date while the layout changes
+ */
+class LogoColliders {
+  /**
+   * @param {LogoAnimator} animator - The animator whose logo bounces off the elements
+   */
+  constructor(animator) {
+    this.animator = animator;
+
+    /** @type {Element[]} */
+    this.elements = [];
+
+    /** @type {ResizeObserver|null} */
+    this.resizeObserver = null;
+    /** @type {MutationObserver|null} */
+    this.mutationObserver = null;
+    /** Frame timestamp of the last layout check */
+    this.lastLayoutCheck = 0;
+
+    // Bind methods
+    this.refresh = this.refresh.bind(this);
+    this.update = this.update.bind(this);
+  }
+
+  /**
+   * Element the colliders are looked up in, the arena or the whole page
+   * @returns {Element}
+   */
+  get root() {
+    return this.animator.arena.element ?? document.body;
+  }
+
+  /**
+   * Find the colliders and start watching them
+   */
+  initialize() {
+    this.resizeObserver = new ResizeObserver(this.update);
+    this.mutationObserver = new MutationObserver(this.refresh);
+    this.mutationObserver.observe(this.root, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['data-collider'],
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Look the colliders up again after elements were added or removed
+   */
+  refresh() {
+    const { logo } = this.animator;
+    const elements = Array.from(this.root.querySelectorAll(COLLIDER_SELECTOR)).filter(
+      (element) => element !== logo
+    );
+
+    if (this.resizeObserver) {
+      for (const element of this.elements) {
+        if (!elements.includes(element)) this.resizeObserver.unobserve(element);
+      }
+      for (const element of elements) {
+        if (!this.elements.includes(element)) this.resizeObserver.observe(element);
+      }
+    }
+
+    this.elements = elements;
+    this.update();
+  }
+
+  /**
+   * Measure the colliders again once the layout check interval has passed,
+   * called every frame the logo moves
+   * @param {number} timestamp - Current frame timestamp
+   */
+  checkLayout(timestamp) {
+    if (timestamp - this.lastLayoutCheck < LAYOUT_CHECK_INTERVAL) return;
+    this.update();
+  }
+
+  /**
+   * Measure the colliders and pass them to the engine, if they moved or changed size
+   */
+  update() {
+    const { animator } = this;
+    this.lastLayoutCheck = performance.now();
+
+    /** @type {Obstacle[]} */
+    const obstacles = [];
+    for (const element of this.elements) {
+      const obstacle = rectToObstacle(
+        element.getBoundingClientRect(),
+        (x, y) => animator.windowToNormalized(x, y),
+        element
+      );
+      if (obstacle) obstacles.push(obstacle);
+    }
+
+    if (sameObstacles(obstacles, animator.engine.obstacles)) return;
+
+    animator.engine.setObstacles(obstacles);
+    animator.restartMotion();
+
+    if (animator.debugger) {
+      animator.debugger.log(`${obstacles.length} colliders registered`, {
+        level: 'debug',
+        category: 'collision',
+        data: obstacles.map(({ source, ...rect }) => rect),
+      });
+    }
+  }
+
+  /**
+   * Stop watching the colliders and remove them from the engine
+   */
+  cleanup() {
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    this.mutationObserver?.disconnect();
+    this.mutationObserver = null;
+
+    this.elements = [];
+    this.animator.engine.setObstacles([]);
+  }
+}
+
+export default LogoColliders;
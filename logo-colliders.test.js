@@ -0,0 +1,36 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { rectToObstacle } from './logo-colliders.js';
+
+/**
+ * Normalize window coordinates for a 1000x600 window
+ * @param {number} x - Window X coordinate
+ * @param {number} y - Window Y coordinate
+ */
+const toNormalized = (x, y) => ({ x: x - 500, y: y - 300 });
+
+describe('rectToObstacle', () => {
+  test('converts the rectangle to normalized coordinates', () => {
+    const source = {};
+    const obstacle = rectToObstacle(
+      { left: 100, right: 300, top: 50, bottom: 150 },
+      toNormalized,
+      source
+    );
+
+    expect(obstacle).toEqual({
+      left: -400,
+      right: -200,
+      top: -250,
+      bottom: -150,
+      source,
+    });
+  });
+
+  test('skips elements without size', () => {
+    expect(
+      rectToObstacle({ left: 0, right: 0, top: 0, bottom: 0 }, toNormalized)
+    ).toBeNull();
+  });
+});
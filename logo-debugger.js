@@ -1,5 +1,97 @@
 // @ts-check
 
+import DebugLog, { LOG_LEVELS } from './debug-log.js';
+
+/**
+ * @typedef {import('./corner-solver.js').CornerPrediction} CornerPrediction
+ * @typedef {import('./debug-log.js').LogLevel} LogLevel
+ * @typedef {import('./debug-log.js').LogCategory} LogCategory
+ */
+
+/**
+ * @typedef {Object} LogOptions
+ * @property {LogLevel} [level='info'] - Severity
+ * @property {LogCategory} [category='general'] - Area the message belongs to
+ * @property {unknown} [data] - Extra data kept with the message
+ */
+
+/**
+ * @typedef {Object} CollisionMarker
+ * @property {number} x - Normalized X position
+ * @property {number} y - Normalized Y position
+ * @property {'wall'|'corner'|'logo'} type - What was hit
+ */
+
+/**
+ * @typedef {Object} DebugParameter
+ * @property {string} label - Label shown next to the controls
+ * @property {number} min - Smallest value of the slider
+ * @property {number} max - Largest value of the slider
+ * @property {number} step - Slider step
+ * @property {number} value - Current value
+ * @property {(value: number) => void} onChange - Applies a new value to the running animation
+ */
+
+/**
+ * Format settings as a constructor options object literal
+ * @param {Record<string, unknown>} config - The settings
+ * @returns {string}
+ */
+export function formatConfig(config) {
+  // Keys that are valid identifiers lose their quotes, like hand-written options
+  return JSON.stringify(config, null, 2).replace(
+    /^(\s*)"([A-Za-z_$][\w$]*)":/gm,
+    '$1$2:'
+  );
+}
+
+/** Positions kept for the trail */
+const TRAIL_LENGTH = 180;
+
+/** Past collisions kept as markers */
+const MARKER_COUNT = 24;
+
+/** Entries shown in the log viewer */
+const VIEWER_ENTRIES = 50;
+
+/** Most bounces the corner search may plan, its work grows with the square */
+const MAX_NUDGE_BOUNCES = 50;
+
+/** Frame rate below which a performance warning is logged */
+const LOW_FPS = 30;
+
+/** Log viewer colors by level */
+const LEVEL_COLORS = {
+  debug: '#888888',
+  info: '#00ff00',
+  warn: '#ffd700',
+  error: '#ff4444',
+};
+
+/**
+ * Let the browser download a text file
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** Marker colors by what was hit */
+const MARKER_COLORS = {
+  wall: '#ff4444',
+  corner: '#ffd700',
+  logo: '#ff44ff',
+};
+
 /**
  * Class to handle debug functionality for logo animation
  */
@@ -8,9 +100,10 @@ class LogoDebugger {
    * @param {HTMLElement} logo - The logo element to debug
    * @param {Object} options - Debug configuration options
    * @param {boolean} [options.enabledByDefault=false] - Whether debug mode is enabled by default
+   * @param {number} [options.logCapacity=500] - Log entries kept for the viewer and export
    */
   constructor(logo, options = {}) {
-    const { enabledByDefault = false } = options;
+    const { enabledByDefault = false, logCapacity = 500 } = options;
 
     this.logo = logo;
     this.body = document.body;
@@ -19,6 +112,26 @@ class LogoDebugger {
     this.debugPanel = null;
     this.debugInterval = null;
 
+    // Trajectory overlay
+    /** @type {HTMLCanvasElement|null} */
+    this.overlay = null;
+    /** @type {Array<{x: number, y: number}>} */
+    this.trail = [];
+    /** @type {CollisionMarker[]} */
+    this.markers = [];
+
+    // Structured log, kept even while debug mode is off
+    this.history = new DebugLog({ capacity: logCapacity });
+    /** @type {LogLevel} */
+    this.viewerLevel = 'debug';
+    /** @type {LogCategory|''} */
+    this.viewerCategory = '';
+    /** @type {HTMLElement|null} */
+    this.logViewer = null;
+    // Entries logged in one frame are shown together
+    /** @type {number|null} */
+    this.logRenderFrame = null;
+
     // FPS tracking
     this.frameCount = 0;
     this.lastFpsUpdate = 0;
@@ -34,6 +147,7 @@ class LogoDebugger {
    * Initialize the debugger
    */
   initialize() {
+    this.addDebugOverlay();
     this.addDebugPanel();
     this.addDebugButton();
     this.updateDebugElements();
@@ -47,12 +161,18 @@ class LogoDebugger {
     if (this.debugInterval) {
       clearInterval(this.debugInterval);
     }
+    if (this.logRenderFrame !== null) {
+      cancelAnimationFrame(this.logRenderFrame);
+    }
     if (this.debugButton && this.debugButton.parentNode) {
       this.debugButton.parentNode.removeChild(this.debugButton);
     }
     if (this.debugPanel && this.debugPanel.parentNode) {
       this.debugPanel.parentNode.removeChild(this.debugPanel);
     }
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
   }
 
   updateDebugElements() {
@@ -60,6 +180,42 @@ class LogoDebugger {
     if (this.debugPanel) {
       this.debugPanel.style.display = this.isDebugMode ? 'block' : 'none';
     }
+    if (this.overlay) {
+      this.overlay.style.display = this.isDebugMode ? 'block' : 'none';
+    }
+
+    // A trail from before debug mode was switched on would jump
+    this.trail = [];
+  }
+
+  /**
+   * Switch debug mode on or off
+   */
+  toggleDebugMode() {
+    this.isDebugMode = !this.isDebugMode;
+    this.updateDebugElements();
+    console.log(`Debug mode: ${this.isDebugMode ? 'ON' : 'OFF'}`);
+  }
+
+  /**
+   * Add the transparent canvas the trajectory is drawn on
+   */
+  addDebugOverlay() {
+    const overlay = document.createElement('canvas');
+    overlay.id = 'debug-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      pointer-events: none;
+      z-index: 9998;
+      display: none;
+    `;
+
+    this.body.appendChild(overlay);
+    this.overlay = overlay;
   }
 
   addDebugPanel() {
@@ -112,6 +268,14 @@ class LogoDebugger {
       border-top: 1px solid #333;
     `;
 
+    const cornerInfo = document.createElement('div');
+    cornerInfo.id = 'debug-corner';
+    cornerInfo.style.cssText = `
+      margin-top: 10px;
+      padding-top: 10px;
+      border-top: 1px solid #333;
+    `;
+
     const controlsSection = document.createElement('div');
     controlsSection.style.cssText = `
       margin-top: 10px;
@@ -138,11 +302,69 @@ class LogoDebugger {
     });
     controlsSection.appendChild(cornerButton);
 
+    const nudgeRow = document.createElement('div');
+    nudgeRow.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 5px;
+      margin-top: 5px;
+    `;
+
+    const bouncesInput = document.createElement('input');
+    bouncesInput.type = 'number';
+    bouncesInput.min = '1';
+    bouncesInput.max = String(MAX_NUDGE_BOUNCES);
+    bouncesInput.value = '10';
+    bouncesInput.title = 'Maximum bounces before the corner hit';
+    bouncesInput.style.cssText = `
+      width: 40px;
+      background: rgba(0, 0, 0, 0.5);
+      color: #00ff00;
+      border: 1px solid #00ff00;
+      border-radius: 4px;
+      font-family: monospace;
+    `;
+
+    const nudgeButton = document.createElement('button');
+    nudgeButton.innerHTML = '🎯 Corner in N';
+    nudgeButton.style.cssText = cornerButton.style.cssText;
+    nudgeButton.style.marginTop = '0';
+    nudgeButton.addEventListener('click', () => {
+      const maxBounces = Math.min(
+        MAX_NUDGE_BOUNCES,
+        Math.max(1, parseInt(bouncesInput.value, 10) || 1)
+      );
+      if (this.onNudgeToCorner) {
+        this.onNudgeToCorner(maxBounces);
+      }
+    });
+
+    nudgeRow.appendChild(bouncesInput);
+    nudgeRow.appendChild(nudgeButton);
+    controlsSection.appendChild(nudgeRow);
+
     panel.appendChild(normalizedInfo);
     panel.appendChild(windowInfo);
     panel.appendChild(angleInfo);
     panel.appendChild(boundsInfo);
+    const parametersSection = document.createElement('div');
+    parametersSection.id = 'debug-parameters';
+    parametersSection.style.cssText = `
+      margin-top: 10px;
+      padding-top: 10px;
+      border-top: 1px solid #333;
+    `;
+
+    const copyButton = document.createElement('button');
+    copyButton.innerHTML = '📋 Copy Config';
+    copyButton.style.cssText = cornerButton.style.cssText;
+    copyButton.addEventListener('click', () => this.copyConfig(copyButton));
+
+    panel.appendChild(cornerInfo);
     panel.appendChild(controlsSection);
+    panel.appendChild(parametersSection);
+    panel.appendChild(copyButton);
+    panel.appendChild(this.createLogSection(cornerButton.style.cssText));
 
     this.body.appendChild(panel);
     this.debugPanel = panel;
@@ -175,29 +397,182 @@ class LogoDebugger {
     `;
     button.title = 'Toggle Debug Mode';
 
-    button.addEventListener('click', () => {
-      this.isDebugMode = !this.isDebugMode;
-      this.updateDebugElements();
-      console.log(`Debug mode: ${this.isDebugMode ? 'ON' : 'OFF'}`);
-    });
+    button.addEventListener('click', () => this.toggleDebugMode());
 
     this.body.appendChild(button);
     this.debugButton = button;
   }
 
   /**
-   * Log debug information
+   * Create the log viewer with its filters and export buttons
+   * @param {string} buttonStyle - Style shared with the other panel buttons
+   * @returns {HTMLElement}
+   */
+  createLogSection(buttonStyle) {
+    const section = document.createElement('div');
+    section.id = 'debug-log';
+    section.style.cssText = `
+      margin-top: 10px;
+      padding-top: 10px;
+      border-top: 1px solid #333;
+    `;
+    section.innerHTML =
+      '<div style="color: #88ff88; margin-bottom: 5px;">Log</div>';
+
+    const selectStyle = `
+      background: rgba(0, 0, 0, 0.5);
+      color: #00ff00;
+      border: 1px solid #00ff00;
+      border-radius: 4px;
+      font-family: monospace;
+    `;
+
+    const levelSelect = document.createElement('select');
+    levelSelect.title = 'Least severe level shown';
+    levelSelect.style.cssText = selectStyle;
+    for (const level of LOG_LEVELS) {
+      levelSelect.add(new Option(level, level));
+    }
+    levelSelect.addEventListener('change', () => {
+      this.viewerLevel = /** @type {LogLevel} */ (levelSelect.value);
+      this.renderLog();
+    });
+
+    const categorySelect = document.createElement('select');
+    categorySelect.title = 'Category shown';
+    categorySelect.style.cssText = selectStyle;
+    categorySelect.add(new Option('all', ''));
+    for (const category of ['collision', 'resize', 'lifecycle', 'perf', 'general']) {
+      categorySelect.add(new Option(category, category));
+    }
+    categorySelect.addEventListener('change', () => {
+      this.viewerCategory = /** @type {LogCategory|''} */ (categorySelect.value);
+      this.renderLog();
+    });
+
+    const filters = document.createElement('div');
+    filters.style.cssText = 'display: flex; gap: 5px;';
+    filters.appendChild(levelSelect);
+    filters.appendChild(categorySelect);
+
+    const viewer = document.createElement('div');
+    viewer.style.cssText = `
+      max-height: 150px;
+      max-width: 320px;
+      overflow-y: auto;
+      margin-top: 5px;
+      font-size: 11px;
+      white-space: pre-wrap;
+    `;
+
+    /**
+     * Create an export button
+     * @param {string} label - Button label
+     * @param {() => void} onClick - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    const createButton = (label, onClick) => {
+      const button = document.createElement('button');
+      button.innerHTML = label;
+      button.style.cssText = buttonStyle;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    const stamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 5px;';
+    buttons.appendChild(
+      createButton('💾 JSON', () =>
+        downloadText(
+          `logo-log-${stamp()}.json`,
+          this.history.exportJSON(),
+          'application/json'
+        )
+      )
+    );
+    buttons.appendChild(
+      createButton('💾 CSV', () =>
+        downloadText(`logo-log-${stamp()}.csv`, this.history.exportCSV(), 'text/csv')
+      )
+    );
+    buttons.appendChild(
+      createButton('🗑️ Clear', () => {
+        this.history.clear();
+        this.renderLog();
+      })
+    );
+
+    section.appendChild(filters);
+    section.appendChild(viewer);
+    section.appendChild(buttons);
+
+    this.logViewer = viewer;
+    return section;
+  }
+
+  /**
+   * Show the latest log entries that pass the viewer filters
+   */
+  renderLog() {
+    if (!this.logViewer || !this.isDebugMode) return;
+
+    const entries = this.history
+      .entries({
+        level: this.viewerLevel,
+        category: this.viewerCategory || undefined,
+      })
+      .slice(-VIEWER_ENTRIES);
+
+    this.logViewer.replaceChildren(
+      ...entries.map((entry) => {
+        const line = document.createElement('div');
+        line.style.color = LEVEL_COLORS[entry.level];
+        line.textContent = `${new Date(entry.time)
+          .toISOString()
+          .slice(11, 23)} [${entry.category}] ${entry.message}`;
+        return line;
+      })
+    );
+    this.logViewer.scrollTop = this.logViewer.scrollHeight;
+  }
+
+  /**
+   * Show new log entries with the next frame, collisions and perf samples
+   * would otherwise rebuild the viewer several times a frame
+   */
+  scheduleLogRender() {
+    if (this.logRenderFrame !== null) return;
+    this.logRenderFrame = requestAnimationFrame(() => {
+      this.logRenderFrame = null;
+      this.renderLog();
+    });
+  }
+
+  /**
+   * Log debug information, kept in the log history and printed in debug mode
    * @param {string} message - The debug message
-   * @param {any} [data] - Optional data to log
+   * @param {LogOptions} [options] - Level, category and extra data
    */
-  log(message, data) {
+  log(message, options = {}) {
+    const { level = 'info', category = 'general', data } = options;
+
+    this.history.add(level, category, message, data);
     if (!this.isDebugMode) return;
 
+    const print =
+      level === 'error'
+        ? console.error
+        : level === 'warn'
+        ? console.warn
+        : console.log;
     if (data !== undefined) {
-      console.log(message, data);
+      print(`[${category}] ${message}`, data);
     } else {
-      console.log(message);
+      print(`[${category}] ${message}`);
     }
+
+    this.scheduleLogRender();
   }
 
   /**
@@ -207,8 +582,10 @@ class LogoDebugger {
    * @param {number} state.currentY - Current Y position
    * @param {number} state.centerX - Center X position of logo
    * @param {number} state.centerY - Center Y position of logo
-   * @param {number} state.viewportWidth - Current viewport width
-   * @param {number} state.viewportHeight - Current viewport height
+   * @param {number} state.viewportWidth - Current arena width
+   * @param {number} state.viewportHeight - Current arena height
+   * @param {number} [state.originX] - Window X coordinate of the arena center
+   * @param {number} [state.originY] - Window Y coordinate of the arena center
    * @param {number} state.timeLeft - Time left in animation
    * @param {number} state.actualX - Actual X position in viewport
    * @param {number} state.actualY - Actual Y position in viewport
@@ -221,6 +598,14 @@ class LogoDebugger {
    * @param {number} state.angle - Current angle in radians
    * @param {number} state.angleDegrees - Current angle in degrees
    * @param {number} state.fps - Current frames per second
+   * @param {CornerPrediction|null} [state.nextCorner] - Predicted next corner hit
+   * @param {number} [state.cornerLookahead] - Wall hits the corner prediction looked ahead
+   * @param {number} [state.logoWidth] - Logo width
+   * @param {number} [state.logoHeight] - Logo height
+   * @param {{leftBound: number, rightBound: number, topBound: number, bottomBound: number}} [state.logoBounds] - Range the logo center moves in, normalized
+   * @param {Array<{x: number, y: number}>} [state.predictedPath] - Normalized positions of the next wall hits, starting at the current position
+   * @param {import('./bounce-engine.js').Obstacle[]} [state.obstacles] - Registered colliders, normalized
+   * @param {Array<{x: number, y: number}>} [state.hull] - Outline the logo collides with, normalized
    */
   updatePosition(state) {
     if (!this.isDebugMode) return;
@@ -232,6 +617,8 @@ class LogoDebugger {
       centerY,
       viewportWidth,
       viewportHeight,
+      originX = viewportWidth / 2,
+      originY = viewportHeight / 2,
       timeLeft,
       actualX,
       actualY,
@@ -244,8 +631,18 @@ class LogoDebugger {
       angle,
       angleDegrees,
       fps,
+      nextCorner,
+      cornerLookahead,
     } = state;
 
+    // Log entries carry the state they happened in, the path, colliders and hull are redrawn every frame anyway
+    const { predictedPath, obstacles, hull, ...snapshot } = state;
+    this.history.setState(snapshot);
+
+    this.trail.push({ x: currentX, y: currentY });
+    if (this.trail.length > TRAIL_LENGTH) this.trail.shift();
+    this.drawOverlay(state);
+
     // Update debug panel with both coordinate systems
     if (this.debugPanel) {
       const normalizedInfo = document.getElementById('debug-normalized');
@@ -253,9 +650,8 @@ class LogoDebugger {
         normalizedInfo.innerHTML = `
           <div style="color: #88ff88; margin-bottom: 5px;">Normalized (0,0)</div>
           <div>Current: [${currentX.toFixed(0)}, ${currentY.toFixed(0)}]</div>
-          <div>Target: [${(targetX - viewportWidth / 2).toFixed(0)}, ${(
-          targetY -
-          viewportHeight / 2
+          <div>Target: [${(targetX - originX).toFixed(0)}, ${(
+          targetY - originY
         ).toFixed(0)}]</div>
           <div>Bounds: [${minX.toFixed(0)}, ${maxX.toFixed(
           0
@@ -271,7 +667,7 @@ class LogoDebugger {
           <div>Current: [${actualX.toFixed(0)}, ${actualY.toFixed(0)}]</div>
           <div>Target: [${targetX.toFixed(0)}, ${targetY.toFixed(0)}]</div>
           <div>Center: [${centerX.toFixed(0)}, ${centerY.toFixed(0)}]</div>
-          <div>Viewport: ${viewportWidth.toFixed(0)} × ${viewportHeight.toFixed(
+          <div>Arena: ${viewportWidth.toFixed(0)} × ${viewportHeight.toFixed(
           0
         )}</div>
         `;
@@ -292,14 +688,180 @@ class LogoDebugger {
       if (boundsInfo) {
         boundsInfo.innerHTML = `
           <div style="color: #88ff88; margin-bottom: 5px;">Boundaries</div>
-          <div>Window: [0, ${viewportWidth.toFixed(
-            0
-          )}] × [0, ${viewportHeight.toFixed(0)}]</div>
+          <div>Window: [${(originX - viewportWidth / 2).toFixed(0)}, ${(
+            originX + viewportWidth / 2
+          ).toFixed(0)}] × [${(originY - viewportHeight / 2).toFixed(0)}, ${(
+            originY + viewportHeight / 2
+          ).toFixed(0)}]</div>
           <div>Normalized: [${minX.toFixed(0)}, ${maxX.toFixed(
           0
         )}] × [${minY.toFixed(0)}, ${maxY.toFixed(0)}]</div>
         `;
       }
+
+      const cornerInfo = document.getElementById('debug-corner');
+      if (cornerInfo && nextCorner !== undefined) {
+        cornerInfo.innerHTML = nextCorner
+          ? `
+          <div style="color: #88ff88; margin-bottom: 5px;">Next Corner</div>
+          <div>Corner: ${nextCorner.corner}</div>
+          <div>In: ${nextCorner.time.toFixed(1)}s</div>
+          <div>Bounces before: ${nextCorner.bounces}</div>
+        `
+          : `
+          <div style="color: #88ff88; margin-bottom: 5px;">Next Corner</div>
+          <div>None within ${cornerLookahead ?? '?'} bounces</div>
+        `;
+      }
+    }
+  }
+
+  /**
+   * Remember where a collision happened
+   * @param {number} x - Normalized X position
+   * @param {number} y - Normalized Y position
+   * @param {CollisionMarker['type']} type - What was hit
+   */
+  markCollision(x, y, type) {
+    this.markers.push({ x, y, type });
+    if (this.markers.length > MARKER_COUNT) this.markers.shift();
+  }
+
+  /**
+   * Draw the trail, bounding boxes, hit shape, collision markers and predicted path
+   * @param {Parameters<LogoDebugger['updatePosition']>[0]} state - Current animation state
+   */
+  drawOverlay(state) {
+    const overlay = this.overlay;
+    const context = overlay?.getContext('2d');
+    if (!overlay || !context) return;
+
+    // The overlay covers the window, the arena may be any part of it
+    const {
+      viewportWidth,
+      viewportHeight,
+      originX = viewportWidth / 2,
+      originY = viewportHeight / 2,
+    } = state;
+    const pixelRatio = window.devicePixelRatio || 1;
+    const width = Math.round(window.innerWidth * pixelRatio);
+    const height = Math.round(window.innerHeight * pixelRatio);
+    if (overlay.width !== width || overlay.height !== height) {
+      overlay.width = width;
+      overlay.height = height;
+    }
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    // Draw in normalized coordinates, (0,0) at the center of the arena
+    context.setTransform(
+      pixelRatio,
+      0,
+      0,
+      pixelRatio,
+      originX * pixelRatio,
+      originY * pixelRatio
+    );
+    context.lineWidth = 1;
+
+    // Range the logo center moves in
+    const { logoBounds } = state;
+    if (logoBounds) {
+      context.setLineDash([6, 4]);
+      context.strokeStyle = 'rgba(0, 255, 255, 0.6)';
+      context.strokeRect(
+        logoBounds.leftBound,
+        logoBounds.topBound,
+        logoBounds.rightBound - logoBounds.leftBound,
+        logoBounds.bottomBound - logoBounds.topBound
+      );
+      context.setLineDash([]);
+    }
+
+    // Registered colliders
+    const { obstacles = [] } = state;
+    if (obstacles.length > 0) {
+      context.strokeStyle = 'rgba(255, 0, 255, 0.8)';
+      context.fillStyle = 'rgba(255, 0, 255, 0.1)';
+      for (const obstacle of obstacles) {
+        const { left, top } = obstacle;
+        const obstacleWidth = obstacle.right - left;
+        const obstacleHeight = obstacle.bottom - top;
+        context.fillRect(left, top, obstacleWidth, obstacleHeight);
+        context.strokeRect(left, top, obstacleWidth, obstacleHeight);
+      }
+    }
+
+    // Predicted path with a dot at every wall hit
+    const path = state.predictedPath ?? [];
+    if (path.length > 1) {
+      context.setLineDash([4, 6]);
+      context.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+      context.beginPath();
+      path.forEach((point, index) => {
+        if (index === 0) context.moveTo(point.x, point.y);
+        else context.lineTo(point.x, point.y);
+      });
+      context.stroke();
+      context.setLineDash([]);
+
+      context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      for (const point of path.slice(1)) {
+        context.beginPath();
+        context.arc(point.x, point.y, 3, 0, Math.PI * 2);
+        context.fill();
+      }
+    }
+
+    // Recent trail, fading out with age
+    for (let i = 1; i < this.trail.length; i++) {
+      const from = /** @type {{x: number, y: number}} */ (this.trail[i - 1]);
+      const to = /** @type {{x: number, y: number}} */ (this.trail[i]);
+      context.strokeStyle = `rgba(0, 255, 0, ${(i / this.trail.length).toFixed(2)})`;
+      context.beginPath();
+      context.moveTo(from.x, from.y);
+      context.lineTo(to.x, to.y);
+      context.stroke();
+    }
+
+    // Past collisions
+    for (const marker of this.markers) {
+      const size = marker.type === 'corner' ? 8 : 5;
+      context.strokeStyle = MARKER_COLORS[marker.type];
+      context.beginPath();
+      context.moveTo(marker.x - size, marker.y - size);
+      context.lineTo(marker.x + size, marker.y + size);
+      context.moveTo(marker.x + size, marker.y - size);
+      context.lineTo(marker.x - size, marker.y + size);
+      context.stroke();
+    }
+
+    // Current bounding box
+    const { logoWidth, logoHeight, currentX, currentY } = state;
+    if (logoWidth && logoHeight) {
+      context.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+      context.strokeRect(
+        currentX - logoWidth / 2,
+        currentY - logoHeight / 2,
+        logoWidth,
+        logoHeight
+      );
+    }
+
+    // Outline the logo collides with, to check it against the artwork
+    const { hull = [] } = state;
+    if (hull.length > 2) {
+      context.strokeStyle = 'rgba(255, 140, 0, 0.9)';
+      context.fillStyle = 'rgba(255, 140, 0, 0.15)';
+      context.beginPath();
+      hull.forEach((point, index) => {
+        if (index === 0) context.moveTo(point.x, point.y);
+        else context.lineTo(point.x, point.y);
+      });
+      context.closePath();
+      context.fill();
+      context.stroke();
     }
   }
 
@@ -342,6 +904,122 @@ class LogoDebugger {
     this.onTargetCorner = callback;
   }
 
+  /**
+   * Set the callback for when the nudge to corner button is clicked
+   * @param {(maxBounces: number) => void} callback - The callback to execute
+   */
+  setNudgeToCornerCallback(callback) {
+    this.onNudgeToCorner = callback;
+  }
+
+  /**
+   * Set the callback that returns the current settings for the copy config button
+   * @param {() => Record<string, unknown>} callback - The callback to execute
+   */
+  setCopyConfigCallback(callback) {
+    this.onCopyConfig = callback;
+  }
+
+  /**
+   * Show a slider and a number input for every tunable setting
+   * @param {DebugParameter[]} parameters - The settings
+   */
+  setParameters(parameters) {
+    const section = this.debugPanel?.querySelector('#debug-parameters');
+    if (!section) return;
+
+    section.innerHTML =
+      '<div style="color: #88ff88; margin-bottom: 5px;">Parameters</div>';
+
+    for (const parameter of parameters) {
+      const row = document.createElement('label');
+      row.style.cssText = `
+        display: grid;
+        grid-template-columns: 100px 1fr 60px;
+        align-items: center;
+        gap: 5px;
+        margin-top: 3px;
+      `;
+
+      const label = document.createElement('span');
+      label.textContent = parameter.label;
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.style.cssText = `
+        width: 60px;
+        background: rgba(0, 0, 0, 0.5);
+        color: #00ff00;
+        border: 1px solid #00ff00;
+        border-radius: 4px;
+        font-family: monospace;
+      `;
+
+      for (const field of [slider, input]) {
+        field.min = String(parameter.min);
+        field.max = String(parameter.max);
+        field.step = String(parameter.step);
+        field.value = String(parameter.value);
+        field.addEventListener('input', () => {
+          const value = parseFloat(field.value);
+          if (!Number.isFinite(value)) return;
+
+          // Keep both controls showing the same value
+          slider.value = field.value;
+          input.value = field.value;
+
+          try {
+            parameter.onChange(value);
+          } catch (error) {
+            console.warn(`Cannot set ${parameter.label}:`, error);
+          }
+        });
+      }
+
+      row.appendChild(label);
+      row.appendChild(slider);
+      row.appendChild(input);
+      section.appendChild(row);
+    }
+  }
+
+  /**
+   * Copy the current settings as a constructor options object
+   * @param {HTMLButtonElement} button - The copy button, shows the result briefly
+   */
+  copyConfig(button) {
+    if (!this.onCopyConfig) return;
+
+    const text = formatConfig(this.onCopyConfig());
+
+    const label = button.innerHTML;
+    /** @param {string} result - Text shown on the button */
+    const showResult = (result) => {
+      button.innerHTML = result;
+      setTimeout(() => {
+        button.innerHTML = label;
+      }, 1500);
+    };
+
+    // Without clipboard access the config is printed to copy by hand
+    const showInConsole = () => {
+      console.log(text);
+      showResult('📋 See console');
+    };
+
+    if (!navigator.clipboard) {
+      showInConsole();
+      return;
+    }
+    navigator.clipboard.writeText(text).then(
+      () => showResult('✅ Copied'),
+      showInConsole
+    );
+  }
+
   /**
    * Update FPS counter
    * @param {number} timestamp - Current frame timestamp
@@ -356,6 +1034,11 @@ class LogoDebugger {
       );
       this.frameCount = 0;
       this.lastFpsUpdate = timestamp;
+
+      this.log(`FPS: ${this.currentFps}`, {
+        level: this.currentFps < LOW_FPS ? 'warn' : 'debug',
+        category: 'perf',
+      });
     }
   }
 }
@@ -0,0 +1,26 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { formatConfig } from './logo-debugger.js';
+
+describe('formatConfig', () => {
+  test('formats settings as an options object literal', () => {
+    expect(formatConfig({ angle: -40, motion: 'transform', sound: { volume: 0.4 } }))
+      .toBe(`{
+  angle: -40,
+  motion: "transform",
+  sound: {
+    volume: 0.4
+  }
+}`);
+  });
+
+  test('keeps quotes around keys that are not identifiers', () => {
+    expect(formatConfig({ 'data-id': 1 })).toBe('{\n  "data-id": 1\n}');
+  });
+
+  test('evaluates back to the same settings', () => {
+    const config = { angle: 12.5, debug: true, note: 'it\'s "quoted"' };
+    expect(new Function(`return ${formatConfig(config)}`)()).toEqual(config);
+  });
+});
@@ -0,0 +1,232 @@
+// @ts-check
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ */
+
+/**
+ * @typedef {Object} PointerSample
+ * @property {number} x - Window X coordinate
+ * @property {number} y - Window Y coordinate
+ * @property {number} time - Event timestamp in milliseconds
+ */
+
+/** Only the most recent part of a gesture counts for the fling, in milliseconds */
+export const FLING_SAMPLE_WINDOW = 100;
+
+/** Slower releases keep the previous angle and speed, in pixels per second */
+const MIN_FLING_SPEED = 50;
+
+/** Fastest fling, so a flick does not send the logo through walls, in pixels per second */
+const MAX_FLING_SPEED = 5000;
+
+/**
+ * Estimate the release velocity of a gesture from its pointer samples
+ * @param {PointerSample[]} samples - Pointer samples, oldest first
+ * @returns {{x: number, y: number}} Velocity in pixels per second
+ */
+export function flingVelocity(samples) {
+  const last = samples[samples.length - 1];
+  if (!last) return { x: 0, y: 0 };
+
+  const first = samples.find(
+    (sample) => last.time - sample.time <= FLING_SAMPLE_WINDOW
+  );
+  const elapsed = first ? (last.time - first.time) / 1000 : 0;
+  if (!first || elapsed <= 0) return { x: 0, y: 0 };
+
+  return {
+    x: (last.x - first.x) / elapsed,
+    y: (last.y - first.y) / elapsed,
+  };
+}
+
+/**
+ * Lets the user grab a logo with mouse or touch, drag it around and fling it.
+ * The release velocity becomes the new angle and speed, bouncing then carries
+ * on through the engine's reflections.
+ */
+class LogoDragger {
+  /**
+   * @param {LogoAnimator} animator - The animator whose logo is dragged
+   */
+  constructor(animator) {
+    this.animator = animator;
+
+    // Gesture state
+    this.isDragging = false;
+    /** @type {number|null} */
+    this.pointerId = null;
+    this.grabOffsetX = 0;
+    this.grabOffsetY = 0;
+    /** @type {PointerSample[]} */
+    this.samples = [];
+
+    // Bind methods
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+  }
+
+  /**
+   * Start listening for gestures
+   */
+  initialize() {
+    this.animator.logo.classList.add('interactive');
+    this.animator.logo.setAttribute('draggable', 'false');
+
+    window.addEventListener('pointerdown', this.handlePointerDown);
+    window.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerup', this.handlePointerUp);
+    window.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Check whether a window position is on the logo
+   * @param {number} x - Window X coordinate
+   * @param {number} y - Window Y coordinate
+   * @returns {boolean}
+   */
+  hitTest(x, y) {
+    const { animator } = this;
+    if (!animator.logoDimensions) return false;
+
+    const center = animator.normalizedToWindow(animator.currentX, animator.currentY);
+    return (
+      Math.abs(x - center.x) <= animator.logoDimensions.width / 2 &&
+      Math.abs(y - center.y) <= animator.logoDimensions.height / 2
+    );
+  }
+
+  /**
+   * Grab the logo when the gesture starts on it
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerDown(event) {
+    const { animator } = this;
+
+    // Another logo on the same spot already took this gesture
+    if (event.defaultPrevented || this.isDragging || !animator.isAnimating) return;
+    if (!event.isPrimary || !this.hitTest(event.clientX, event.clientY)) return;
+
+    event.preventDefault();
+
+    const center = animator.normalizedToWindow(animator.currentX, animator.currentY);
+    this.grabOffsetX = event.clientX - center.x;
+    this.grabOffsetY = event.clientY - center.y;
+    this.pointerId = event.pointerId;
+    this.samples = [{ x: event.clientX, y: event.clientY, time: event.timeStamp }];
+
+    this.isDragging = true;
+    animator.logo.classList.add('dragging');
+    animator.syncPlayState();
+    animator.motionStrategy.restart(animator.time);
+
+    animator.emit('grab', animator.getLifecycleDetail());
+
+    if (animator.debugger) {
+      animator.debugger.log('Logo grabbed', { category: 'lifecycle' });
+    }
+  }
+
+  /**
+   * Move the logo with the pointer, kept inside the walls
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerMove(event) {
+    if (!this.isDragging || event.pointerId !== this.pointerId) return;
+
+    const { animator } = this;
+    this.addSample(event);
+
+    const position = animator.windowToNormalized(
+      event.clientX - this.grabOffsetX,
+      event.clientY - this.grabOffsetY
+    );
+
+    animator.syncEngineBounds();
+    const { minX, maxX, minY, maxY } = animator.engine.getBounds();
+    animator.engine.setPosition(
+      Math.min(Math.max(position.x, minX), maxX),
+      Math.min(Math.max(position.y, minY), maxY)
+    );
+    animator.motionStrategy.restart(animator.time);
+  }
+
+  /**
+   * Release the logo with the velocity of the gesture
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerUp(event) {
+    if (!this.isDragging || event.pointerId !== this.pointerId) return;
+
+    const { animator } = this;
+    this.addSample(event);
+
+    const velocity = flingVelocity(this.samples);
+    const speed = Math.hypot(velocity.x, velocity.y);
+
+    // The speed is kept in animation time, the gesture happened in real time
+    if (speed >= MIN_FLING_SPEED) {
+      animator.angle = Math.atan2(velocity.y, velocity.x);
+      animator.speed = Math.min(speed, MAX_FLING_SPEED) / animator.playbackRate;
+    }
+
+    this.stopDragging();
+    animator.emit('release', animator.getLifecycleDetail());
+
+    if (animator.debugger) {
+      animator.debugger.log(
+        speed >= MIN_FLING_SPEED
+          ? `Logo flung at ${speed.toFixed(0)}px/s, angle ${(
+              (animator.angle * 180) /
+              Math.PI
+            ).toFixed(1)}°`
+          : 'Logo released',
+        { category: 'lifecycle' }
+      );
+    }
+  }
+
+  /**
+   * Remember a pointer position, dropping samples too old to matter
+   * @param {PointerEvent} event - The pointer event
+   */
+  addSample(event) {
+    this.samples.push({ x: event.clientX, y: event.clientY, time: event.timeStamp });
+    this.samples = this.samples.filter(
+      (sample) => event.timeStamp - sample.time <= FLING_SAMPLE_WINDOW
+    );
+  }
+
+  /**
+   * End the gesture and let the logo move again from where it is
+   */
+  stopDragging() {
+    const { animator } = this;
+
+    this.isDragging = false;
+    this.pointerId = null;
+    this.samples = [];
+    animator.logo.classList.remove('dragging');
+    animator.syncPlayState();
+    animator.motionStrategy.restart(animator.time);
+  }
+
+  /**
+   * Stop listening for gestures
+   */
+  cleanup() {
+    if (this.isDragging) this.stopDragging();
+
+    window.removeEventListener('pointerdown', this.handlePointerDown);
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('pointercancel', this.handlePointerUp);
+
+    this.animator.logo.classList.remove('interactive');
+    this.animator.logo.removeAttribute('draggable');
+  }
+}
+
+export default LogoDragger;
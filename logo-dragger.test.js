@@ -0,0 +1,34 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { FLING_SAMPLE_WINDOW, flingVelocity } from './logo-dragger.js';
+
+describe('flingVelocity', () => {
+  test('measures the velocity over the samples', () => {
+    const velocity = flingVelocity([
+      { x: 0, y: 0, time: 0 },
+      { x: 10, y: -5, time: 25 },
+      { x: 40, y: -20, time: 50 },
+    ]);
+
+    expect(velocity.x).toBeCloseTo(800);
+    expect(velocity.y).toBeCloseTo(-400);
+  });
+
+  test('only uses the end of the gesture', () => {
+    const velocity = flingVelocity([
+      { x: 0, y: 0, time: 0 },
+      { x: 500, y: 0, time: 20 },
+      { x: 500, y: 0, time: 20 + FLING_SAMPLE_WINDOW },
+      { x: 510, y: 0, time: 30 + FLING_SAMPLE_WINDOW },
+    ]);
+
+    expect(velocity.x).toBeCloseTo(1000);
+    expect(velocity.y).toBe(0);
+  });
+
+  test('is zero for a pointer that was held still', () => {
+    expect(flingVelocity([{ x: 5, y: 5, time: 10 }])).toEqual({ x: 0, y: 0 });
+    expect(flingVelocity([])).toEqual({ x: 0, y: 0 });
+  });
+});
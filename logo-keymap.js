@@ -0,0 +1,303 @@
+// @ts-check
+
+import { isSoundMuted, setSoundMuted } from './logo-sounds.js';
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ */
+
+/**
+ * @typedef {'glow'|'pause'|'targetCorner'|'toggleDebug'|'addLogo'|'removeLogo'|'speedUp'|'slowDown'|'mute'|'help'} KeyAction
+ */
+
+/**
+ * Keys of every action, as `KeyboardEvent.key` values
+ * @typedef {Record<KeyAction, string[]>} Keymap
+ */
+
+/**
+ * Changed bindings, null or an empty list turns an action off
+ * @typedef {Partial<Record<KeyAction, string|string[]|null>>} KeymapOptions
+ */
+
+/**
+ * @typedef {Object} KeyActionInfo
+ * @property {string[]} keys - Default keys
+ * @property {string} description - What the action does, shown in the help overlay
+ * @property {boolean} [isShared] - Acts on the whole page, so only one animator handles a key press
+ */
+
+/** Every action with its default keys, in the order the help overlay lists them */
+export const KEY_ACTIONS = /** @type {Record<KeyAction, KeyActionInfo>} */ ({
+  glow: { keys: ['g'], description: 'Glow' },
+  pause: { keys: ['p', ' '], description: 'Pause or resume' },
+  targetCorner: { keys: ['c'], description: 'Aim at the nearest corner' },
+  toggleDebug: { keys: ['d'], description: 'Show or hide the debugger' },
+  speedUp: { keys: [']'], description: 'Speed up' },
+  slowDown: { keys: ['['], description: 'Slow down' },
+  addLogo: { keys: ['+', '='], description: 'Add a logo', isShared: true },
+  removeLogo: { keys: ['-'], description: 'Remove a logo', isShared: true },
+  mute: { keys: ['m'], description: 'Mute or unmute', isShared: true },
+  help: { keys: ['?'], description: 'Show or hide this help', isShared: true },
+});
+
+/** Factor the playback speed changes by per key press */
+const SPEED_STEP = 1.25;
+
+/** Slowest and fastest playback speed reachable from the keyboard */
+const MIN_TIME_SCALE = 0.25;
+const MAX_TIME_SCALE = 4;
+
+/** Key presses already acted on for the whole page, by any animator */
+const handledEvents = new WeakSet();
+
+/**
+ * Keep every keymap from acting on a key press that did something else,
+ * like ending the screensaver
+ * @param {KeyboardEvent} event - The keydown event
+ */
+export function consumeKeydown(event) {
+  handledEvents.add(event);
+}
+
+/**
+ * Compare keys regardless of Caps Lock and Shift on letters
+ * @param {string} key - A `KeyboardEvent.key` value
+ * @returns {string}
+ */
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Get the label of a key for the help overlay
+ * @param {string} key - A `KeyboardEvent.key` value
+ * @returns {string}
+ */
+export function formatKey(key) {
+  if (key === ' ') return 'Space';
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Apply changed bindings to the default keymap
+ * @param {KeymapOptions} [overrides] - Changed bindings
+ * @returns {Keymap} The keymap
+ */
+export function resolveKeymap(overrides = {}) {
+  /** @type {Map<string, KeyAction>} */
+  const owners = new Map();
+  const keymap = /** @type {Keymap} */ ({});
+
+  for (const action of Object.keys(overrides)) {
+    if (!(action in KEY_ACTIONS)) {
+      throw new Error(`Unknown keyboard action "${action}"`);
+    }
+  }
+
+  for (const [action, info] of Object.entries(KEY_ACTIONS)) {
+    const name = /** @type {KeyAction} */ (action);
+    const override = overrides[name];
+    const keys =
+      override === undefined ? info.keys : override === null ? [] : [override].flat();
+
+    keymap[name] = keys.map(normalizeKey);
+    for (const key of keymap[name]) {
+      const owner = owners.get(key);
+      if (owner) {
+        throw new Error(`Key "${formatKey(key)}" is bound to both ${owner} and ${name}`);
+      }
+      owners.set(key, name);
+    }
+  }
+
+  return keymap;
+}
+
+/**
+ * Find the action bound to a key
+ * @param {Keymap} keymap - The keymap
+ * @param {string} key - A `KeyboardEvent.key` value
+ * @returns {KeyAction|null}
+ */
+export function findAction(keymap, key) {
+  const normalized = normalizeKey(key);
+  for (const [action, keys] of Object.entries(keymap)) {
+    if (keys.includes(normalized)) return /** @type {KeyAction} */ (action);
+  }
+  return null;
+}
+
+/** Keys that click a focused button or follow a focused link */
+const ACTIVATION_KEYS = [' ', 'Enter'];
+
+/** Elements the activation keys belong to */
+const ACTIVATABLE_SELECTOR = 'button, a[href], [role=button]';
+
+/**
+ * Check whether a key press is meant for a form field, or for the focused
+ * button or link
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {boolean}
+ */
+function isForControl(event) {
+  const { target } = event;
+  if (!(target instanceof HTMLElement)) return false;
+
+  return (
+    target.isContentEditable ||
+    target instanceof HTMLInputElement ||
+    target instanceof HTMLTextAreaElement ||
+    target instanceof HTMLSelectElement ||
+    (ACTIVATION_KEYS.includes(event.key) &&
+      target.closest(ACTIVATABLE_SELECTOR) !== null)
+  );
+}
+
+/**
+ * Keyboard shortcuts of one animator. Every animator has its own bindings;
+ * shortcuts for the whole page run once per key press however many
+ * animators share the key.
+ */
+class LogoKeymap {
+  /**
+   * @param {LogoAnimator} animator - The animator the shortcuts control
+   * @param {KeymapOptions} options - Changed bindings
+   */
+  constructor(animator, options = {}) {
+    this.animator = animator;
+    this.keymap = resolveKeymap(options);
+
+    /** @type {HTMLElement|null} */
+    this.helpOverlay = null;
+  }
+
+  /**
+   * Run the action bound to a key press
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeydown(event) {
+    // Browser shortcuts, typing in the debug panel and clicking buttons are left alone
+    if (event.ctrlKey || event.metaKey || event.altKey || isForControl(event)) {
+      return;
+    }
+    if (handledEvents.has(event)) return;
+
+    const action = findAction(this.keymap, event.key);
+    if (!action) return;
+
+    if (KEY_ACTIONS[action].isShared) handledEvents.add(event);
+
+    // Space would scroll the page
+    event.preventDefault();
+    this.run(action);
+  }
+
+  /**
+   * Run an action
+   * @param {KeyAction} action - The action
+   */
+  run(action) {
+    const { animator } = this;
+    const { scene } = animator;
+
+    switch (action) {
+      case 'glow':
+        animator.toggleGlow();
+        break;
+      case 'pause':
+        if (animator.isPaused) animator.resume();
+        else animator.pause();
+        break;
+      case 'targetCorner':
+        animator.targetCorner();
+        break;
+      case 'toggleDebug':
+        animator.debugger?.toggleDebugMode();
+        break;
+      case 'speedUp':
+        animator.setTimeScale(Math.min(animator.timeScale * SPEED_STEP, MAX_TIME_SCALE));
+        break;
+      case 'slowDown':
+        animator.setTimeScale(Math.max(animator.timeScale / SPEED_STEP, MIN_TIME_SCALE));
+        break;
+      case 'addLogo':
+        // The scene gives the new logo its default options
+        scene?.add();
+        break;
+      case 'removeLogo':
+        // The last logo stays
+        if (scene && scene.animators.length > 1) {
+          scene.remove(
+            /** @type {LogoAnimator} */ (scene.animators[scene.animators.length - 1])
+          );
+        }
+        break;
+      case 'mute':
+        setSoundMuted(!isSoundMuted());
+        break;
+      case 'help':
+        this.toggleHelp();
+        break;
+    }
+  }
+
+  /**
+   * Show or hide the list of shortcuts
+   */
+  toggleHelp() {
+    if (this.helpOverlay) {
+      this.hideHelp();
+      return;
+    }
+
+    // Another animator may show its own list
+    document.getElementById('keymap-help')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'keymap-help';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Keyboard shortcuts');
+
+    const title = document.createElement('h2');
+    title.textContent = 'Keyboard shortcuts';
+
+    const list = document.createElement('dl');
+    for (const [action, info] of Object.entries(KEY_ACTIONS)) {
+      const keys = this.keymap[/** @type {KeyAction} */ (action)];
+      if (keys.length === 0) continue;
+
+      const term = document.createElement('dt');
+      for (const key of keys) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = formatKey(key);
+        term.appendChild(kbd);
+      }
+      const description = document.createElement('dd');
+      description.textContent = info.description;
+      list.append(term, description);
+    }
+
+    overlay.append(title, list);
+    overlay.addEventListener('click', () => this.hideHelp());
+    document.body.appendChild(overlay);
+    this.helpOverlay = overlay;
+  }
+
+  /**
+   * Hide the list of shortcuts
+   */
+  hideHelp() {
+    this.helpOverlay?.remove();
+    this.helpOverlay = null;
+  }
+
+  /**
+   * Remove the help overlay
+   */
+  cleanup() {
+    this.hideHelp();
+  }
+}
+
+export default LogoKeymap;
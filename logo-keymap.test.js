@@ -0,0 +1,70 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { findAction, formatKey, normalizeKey, resolveKeymap } from './logo-keymap.js';
+
+describe('normalizeKey', () => {
+  test('ignores the case of letters', () => {
+    expect(normalizeKey('G')).toBe('g');
+    expect(normalizeKey('?')).toBe('?');
+  });
+
+  test('keeps named keys as they are', () => {
+    expect(normalizeKey('ArrowUp')).toBe('ArrowUp');
+  });
+});
+
+describe('formatKey', () => {
+  test('names the space bar and shows letters in capitals', () => {
+    expect(formatKey(' ')).toBe('Space');
+    expect(formatKey('g')).toBe('G');
+    expect(formatKey('Escape')).toBe('Escape');
+  });
+});
+
+describe('resolveKeymap', () => {
+  test('binds every action to its default keys', () => {
+    const keymap = resolveKeymap();
+
+    expect(keymap.glow).toEqual(['g']);
+    expect(keymap.pause).toEqual(['p', ' ']);
+    expect(keymap.help).toEqual(['?']);
+  });
+
+  test('replaces the keys of changed actions only', () => {
+    const keymap = resolveKeymap({ glow: 'L', pause: ['Enter', 'k'] });
+
+    expect(keymap.glow).toEqual(['l']);
+    expect(keymap.pause).toEqual(['Enter', 'k']);
+    expect(keymap.mute).toEqual(['m']);
+  });
+
+  test('turns off actions bound to null or no keys', () => {
+    const keymap = resolveKeymap({ mute: null, help: [] });
+
+    expect(keymap.mute).toEqual([]);
+    expect(keymap.help).toEqual([]);
+  });
+
+  test('rejects unknown actions', () => {
+    expect(() =>
+      resolveKeymap(/** @type {import('./logo-keymap.js').KeymapOptions} */ ({ jump: 'j' }))
+    ).toThrow('Unknown keyboard action "jump"');
+  });
+
+  test('rejects a key bound to two actions', () => {
+    expect(() => resolveKeymap({ glow: 'M' })).toThrow(
+      'Key "M" is bound to both glow and mute'
+    );
+  });
+});
+
+describe('findAction', () => {
+  test('finds the action of a key regardless of case', () => {
+    const keymap = resolveKeymap({ targetCorner: 'x' });
+
+    expect(findAction(keymap, 'X')).toBe('targetCorner');
+    expect(findAction(keymap, ' ')).toBe('pause');
+    expect(findAction(keymap, 'c')).toBeNull();
+  });
+});
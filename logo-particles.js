@@ -0,0 +1,397 @@
+// @ts-check
+
+import { shapeExtents } from './bounce-engine.js';
+import { PALETTES } from './logo-recolorer.js';
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ * @typedef {import('./logo-animator.js').HitEventDetail} HitEventDetail
+ * @typedef {import('./bounce-engine.js').ShapeExtents} ShapeExtents
+ */
+
+/**
+ * @typedef {Object} ParticleOptions
+ * @property {number} [count=80] - Confetti pieces in a corner burst
+ * @property {number} [sparkCount=10] - Sparks on a wall hit
+ * @property {string[]} [colors] - Colors picked at random, the brand palette by default
+ * @property {number} [gravity=900] - Downward acceleration in pixels per second squared
+ * @property {number} [lifetime=1.6] - Seconds a confetti piece lives
+ * @property {number} [sparkLifetime=0.4] - Seconds a spark lives
+ * @property {number} [poolSize=400] - Most particles alive at once, the oldest are reused beyond that
+ */
+
+/**
+ * @typedef {Object} Particle
+ * @property {boolean} isAlive - Whether the particle is drawn, dead ones wait to be reused
+ * @property {boolean} isSpark - Drawn as a short streak instead of a confetti piece
+ * @property {number} x - Window X position
+ * @property {number} y - Window Y position
+ * @property {number} vx - X velocity in pixels per second
+ * @property {number} vy - Y velocity in pixels per second
+ * @property {number} age - Seconds since the particle was spawned
+ * @property {number} lifetime - Seconds the particle lives
+ * @property {number} size - Size in pixels
+ * @property {number} rotation - Rotation in radians
+ * @property {number} spin - Rotation speed in radians per second
+ * @property {string} color - Fill or stroke color
+ */
+
+/**
+ * @typedef {Omit<Particle, 'isAlive'|'age'>} ParticleSpawn
+ */
+
+/**
+ * Canvas every logo draws its particles on
+ * @typedef {Object} ParticleLayer
+ * @property {HTMLCanvasElement} canvas - The canvas over the page
+ * @property {number} users - Particle systems drawing on it
+ * @property {number} frame - Timestamp of the frame it was last cleared for
+ * @property {boolean} hasDrawn - Whether it still shows particles that have to be cleared
+ */
+
+/** Launch speed of confetti and sparks, in pixels per second */
+const BURST_SPEED = 700;
+const SPARK_SPEED = 350;
+
+/** Half the opening angle of a corner burst and of wall sparks, in radians */
+const BURST_SPREAD = Math.PI / 3;
+const SPARK_SPREAD = Math.PI / 2;
+
+/** Share of the speed lost to air resistance per second */
+const DRAG = 1.5;
+
+/** Length of a spark streak, as the distance travelled in this many seconds */
+const SPARK_TRAIL = 0.03;
+
+/** @type {ParticleLayer|null} */
+let sharedLayer = null;
+
+/**
+ * Get the canvas shared by every logo, created on first use
+ * @returns {ParticleLayer}
+ */
+function acquireLayer() {
+  if (!sharedLayer) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'particle-overlay';
+    canvas.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      pointer-events: none;
+      z-index: 9997;
+    `;
+    document.body.appendChild(canvas);
+    sharedLayer = { canvas, users: 0, frame: -1, hasDrawn: false };
+  }
+
+  sharedLayer.users++;
+  return sharedLayer;
+}
+
+/**
+ * Stop drawing on the shared canvas, the last one to leave removes it
+ */
+function releaseLayer() {
+  if (!sharedLayer) return;
+
+  sharedLayer.users--;
+  if (sharedLayer.users <= 0) {
+    sharedLayer.canvas.remove();
+    sharedLayer = null;
+  }
+}
+
+/**
+ * Find where a hit happened on the outline of the logo and which way is
+ * away from what it hit. A corner hit is the corner between both sides.
+ * @param {Pick<HitEventDetail, 'walls'|'position'>} hit - The hit, its walls are the sides of the logo that touched
+ * @param {ShapeExtents} extents - How far the logo reaches from its center
+ * @returns {{x: number, y: number, directionX: number, directionY: number}} Normalized point and unit direction
+ */
+export function burstOrigin(hit, extents) {
+  let { x, y } = hit.position;
+  let directionX = 0;
+  let directionY = 0;
+
+  for (const wall of hit.walls) {
+    if (wall === 'left') {
+      x += extents.left;
+      directionX = 1;
+    } else if (wall === 'right') {
+      x += extents.right;
+      directionX = -1;
+    } else if (wall === 'top') {
+      y += extents.top;
+      directionY = 1;
+    } else {
+      y += extents.bottom;
+      directionY = -1;
+    }
+  }
+
+  const length = Math.hypot(directionX, directionY) || 1;
+  return { x, y, directionX: directionX / length, directionY: directionY / length };
+}
+
+/**
+ * Fixed number of particles allocated once and reused in turn, so a long
+ * session does not allocate for every burst. When every particle is alive
+ * the oldest one is reused.
+ */
+export class ParticlePool {
+  /**
+   * @param {number} size - Number of particles
+   */
+  constructor(size) {
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error(`Particle pool size must be a positive whole number, got ${size}`);
+    }
+
+    /** @type {Particle[]} */
+    this.particles = Array.from({ length: size }, () => ({
+      isAlive: false,
+      isSpark: false,
+      x: 0,
+      y: 0,
+      vx: 0,
+      vy: 0,
+      age: 0,
+      lifetime: 0,
+      size: 0,
+      rotation: 0,
+      spin: 0,
+      color: '',
+    }));
+
+    // Next particle to reuse, particles are spawned in turn so it is the oldest
+    this.cursor = 0;
+    this.aliveCount = 0;
+  }
+
+  /**
+   * Bring a particle to life
+   * @param {ParticleSpawn} values - Its starting state
+   * @returns {Particle} The particle
+   */
+  spawn(values) {
+    const particle = /** @type {Particle} */ (this.particles[this.cursor]);
+    this.cursor = (this.cursor + 1) % this.particles.length;
+
+    if (!particle.isAlive) this.aliveCount++;
+    Object.assign(particle, values, { isAlive: true, age: 0 });
+    return particle;
+  }
+
+  /**
+   * Move every living particle and retire the ones that are too old
+   * @param {number} dt - Elapsed time in seconds
+   * @param {number} gravity - Downward acceleration in pixels per second squared
+   * @param {number} [drag=0] - Share of the speed lost per second
+   */
+  step(dt, gravity, drag = 0) {
+    const damping = Math.exp(-drag * dt);
+
+    for (const particle of this.particles) {
+      if (!particle.isAlive) continue;
+
+      particle.age += dt;
+      if (particle.age >= particle.lifetime) {
+        particle.isAlive = false;
+        this.aliveCount--;
+        continue;
+      }
+
+      particle.vy += gravity * dt;
+      particle.vx *= damping;
+      particle.vy *= damping;
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt;
+      particle.rotation += particle.spin * dt;
+    }
+  }
+
+  /**
+   * Retire every particle
+   */
+  clear() {
+    for (const particle of this.particles) particle.isAlive = false;
+    this.aliveCount = 0;
+  }
+}
+
+/**
+ * Fires confetti from the corner of a corner hit and sparks from the side of
+ * a wall hit, drawn on a transparent canvas over the page that every logo
+ * shares. Particles move on the animator clock, so they freeze while the
+ * animation is paused.
+ */
+class LogoParticles {
+  /**
+   * @param {LogoAnimator} animator - The animator whose hits are celebrated
+   * @param {ParticleOptions} options - Particle options
+   */
+  constructor(animator, options = {}) {
+    const {
+      count = 80,
+      sparkCount = 10,
+      colors = PALETTES.brand,
+      gravity = 900,
+      lifetime = 1.6,
+      sparkLifetime = 0.4,
+      poolSize = 400,
+    } = options;
+
+    if (colors.length === 0) {
+      throw new Error('Particles need at least one color');
+    }
+    if (!(lifetime > 0) || !(sparkLifetime > 0)) {
+      throw new Error(`Particle lifetimes must be positive, got ${lifetime} and ${sparkLifetime}`);
+    }
+
+    this.animator = animator;
+    this.count = count;
+    this.sparkCount = sparkCount;
+    this.colors = colors;
+    this.gravity = gravity;
+    this.lifetime = lifetime;
+    this.sparkLifetime = sparkLifetime;
+    this.pool = new ParticlePool(poolSize);
+
+    /** @type {ParticleLayer|null} */
+    this.layer = null;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Start drawing on the shared canvas
+   */
+  initialize() {
+    this.layer = acquireLayer();
+    this.lastTime = this.animator.time;
+  }
+
+  /**
+   * Fire a burst for a hit, a corner burst of confetti or a few wall sparks
+   * @param {HitEventDetail} hit - The wall or corner hit
+   */
+  emit(hit) {
+    const { animator } = this;
+    if (!this.layer || animator.isReducedMotion) return;
+
+    const isCorner = hit.corner !== null;
+    const origin = burstOrigin(hit, shapeExtents(animator.engine));
+    const point = animator.normalizedToWindow(origin.x, origin.y);
+    const direction = Math.atan2(origin.directionY, origin.directionX);
+
+    const count = isCorner ? this.count : this.sparkCount;
+    const speed = isCorner ? BURST_SPEED : SPARK_SPEED;
+    const spread = isCorner ? BURST_SPREAD : SPARK_SPREAD;
+    const lifetime = isCorner ? this.lifetime : this.sparkLifetime;
+
+    for (let i = 0; i < count; i++) {
+      const angle = direction + (Math.random() * 2 - 1) * spread;
+      const launchSpeed = speed * (0.4 + 0.6 * Math.random());
+      this.pool.spawn({
+        isSpark: !isCorner,
+        x: point.x,
+        y: point.y,
+        vx: Math.cos(angle) * launchSpeed,
+        vy: Math.sin(angle) * launchSpeed,
+        lifetime: lifetime * (0.7 + 0.3 * Math.random()),
+        size: isCorner ? 6 + Math.random() * 6 : 1.5,
+        rotation: Math.random() * Math.PI * 2,
+        spin: (Math.random() * 2 - 1) * 12,
+        color: /** @type {string} */ (
+          this.colors[Math.floor(Math.random() * this.colors.length)]
+        ),
+      });
+    }
+  }
+
+  /**
+   * Move the particles to the current animation time and draw them
+   * @param {number} timestamp - Frame timestamp, the first logo to draw in a frame clears the canvas
+   */
+  render(timestamp) {
+    const { layer, pool } = this;
+    const now = this.animator.time;
+    const dt = Math.max(0, now - this.lastTime) / 1000;
+    this.lastTime = now;
+    if (!layer) return;
+
+    const { canvas } = layer;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    if (layer.frame !== timestamp) {
+      layer.frame = timestamp;
+
+      // Resizing clears the canvas too
+      const width = Math.round(window.innerWidth * pixelRatio);
+      const height = Math.round(window.innerHeight * pixelRatio);
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      } else if (layer.hasDrawn) {
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, width, height);
+      }
+      layer.hasDrawn = false;
+    }
+
+    if (pool.aliveCount === 0) return;
+
+    pool.step(dt, this.gravity, DRAG);
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+    for (const particle of pool.particles) {
+      if (!particle.isAlive) continue;
+
+      context.globalAlpha = 1 - particle.age / particle.lifetime;
+      if (particle.isSpark) {
+        context.strokeStyle = particle.color;
+        context.lineWidth = particle.size;
+        context.beginPath();
+        context.moveTo(particle.x, particle.y);
+        context.lineTo(
+          particle.x - particle.vx * SPARK_TRAIL,
+          particle.y - particle.vy * SPARK_TRAIL
+        );
+        context.stroke();
+      } else {
+        // A confetti piece tumbles as a rotated strip
+        context.save();
+        context.translate(particle.x, particle.y);
+        context.rotate(particle.rotation);
+        context.fillStyle = particle.color;
+        context.fillRect(
+          -particle.size / 2,
+          -particle.size / 4,
+          particle.size,
+          particle.size / 2
+        );
+        context.restore();
+      }
+    }
+    context.globalAlpha = 1;
+
+    layer.hasDrawn = true;
+  }
+
+  /**
+   * Stop drawing and retire every particle, the last logo removes the canvas
+   */
+  cleanup() {
+    if (this.layer) {
+      releaseLayer();
+      this.layer = null;
+    }
+    this.pool.clear();
+  }
+}
+
+export default LogoParticles;
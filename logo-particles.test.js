@@ -0,0 +1,89 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { ParticlePool, burstOrigin } from './logo-particles.js';
+
+/** A 100x50 logo measured from its center */
+const EXTENTS = { left: -50, right: 50, top: -25, bottom: 25 };
+
+/**
+ * Create the state of a freshly spawned particle
+ * @param {Partial<import('./logo-particles.js').ParticleSpawn>} [overrides] - Values to change
+ * @returns {import('./logo-particles.js').ParticleSpawn}
+ */
+function createSpawn(overrides = {}) {
+  return {
+    isSpark: false,
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    lifetime: 1,
+    size: 4,
+    rotation: 0,
+    spin: 0,
+    color: '#fff',
+    ...overrides,
+  };
+}
+
+describe('burstOrigin', () => {
+  test('starts a corner burst at the corner, aimed into the arena', () => {
+    const origin = burstOrigin(
+      { walls: ['right', 'bottom'], position: { x: 350, y: 275 } },
+      EXTENTS
+    );
+
+    expect(origin.x).toBe(400);
+    expect(origin.y).toBe(300);
+    expect(origin.directionX).toBeCloseTo(-Math.SQRT1_2);
+    expect(origin.directionY).toBeCloseTo(-Math.SQRT1_2);
+  });
+
+  test('starts wall sparks in the middle of the touching side', () => {
+    expect(
+      burstOrigin({ walls: ['top'], position: { x: 10, y: -275 } }, EXTENTS)
+    ).toEqual({ x: 10, y: -300, directionX: 0, directionY: 1 });
+  });
+});
+
+describe('ParticlePool', () => {
+  test('reuses the oldest particle once every particle is alive', () => {
+    const pool = new ParticlePool(2);
+    const first = pool.spawn(createSpawn({ color: 'red' }));
+    pool.spawn(createSpawn({ color: 'green' }));
+    const third = pool.spawn(createSpawn({ color: 'blue' }));
+
+    expect(third).toBe(first);
+    expect(first.color).toBe('blue');
+    expect(pool.particles).toHaveLength(2);
+    expect(pool.aliveCount).toBe(2);
+  });
+
+  test('moves particles and pulls them down', () => {
+    const pool = new ParticlePool(1);
+    const particle = pool.spawn(createSpawn({ vx: 100 }));
+    pool.step(0.5, 10);
+
+    expect(particle.x).toBeCloseTo(50);
+    expect(particle.vy).toBeCloseTo(5);
+    expect(particle.y).toBeCloseTo(2.5);
+  });
+
+  test('retires particles at the end of their lifetime', () => {
+    const pool = new ParticlePool(3);
+    pool.spawn(createSpawn({ lifetime: 0.5 }));
+    pool.spawn(createSpawn({ lifetime: 2 }));
+    pool.step(1, 0);
+
+    expect(pool.aliveCount).toBe(1);
+    expect(pool.particles.filter((particle) => particle.isAlive)).toHaveLength(1);
+
+    pool.clear();
+    expect(pool.aliveCount).toBe(0);
+  });
+
+  test('rejects a pool without particles', () => {
+    expect(() => new ParticlePool(0)).toThrow();
+  });
+});
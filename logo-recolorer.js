@@ -0,0 +1,282 @@
+// @ts-check
+
+import { CanvasRenderer } from './renderers.js';
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ */
+
+/**
+ * @typedef {'brand'|'random'|'team'} PaletteName
+ */
+
+/**
+ * @typedef {Object} RecolorOptions
+ * @property {PaletteName} [palette='brand'] - Where the colors come from
+ * @property {string[]} [teamColors] - Colors for the team palette
+ * @property {string} [targetFill='#e2ea20'] - Fill of the SVG paths that are recolored
+ * @property {number} [transition=0] - Duration of a smooth color transition in milliseconds, 0 switches instantly
+ */
+
+/**
+ * Where the logo is in its color sequence
+ * @typedef {Object} RecolorState
+ * @property {string} color - Current color
+ * @property {number} colorIndex - Index of the current color in the palette
+ * @property {number} hue - Hue of the current random color
+ */
+
+/** Color palettes that ship with the page */
+export const PALETTES = {
+  brand: ['#e2ea20', '#ed212d', '#ffffff'],
+};
+
+/** Smallest hue change between two random colors, so every hit is visible */
+const MIN_HUE_STEP = 60;
+
+/**
+ * Pick the next color of a palette after the current one
+ * @param {string[]} colors - Palette colors
+ * @param {number} index - Index of the current color
+ * @returns {number} Index of the next color
+ */
+export function nextPaletteIndex(colors, index) {
+  return colors.length > 0 ? (index + 1) % colors.length : 0;
+}
+
+/**
+ * Pick a random hue that is clearly different from the previous one
+ * @param {number} previousHue - Previous hue in degrees
+ * @param {() => number} [random=Math.random] - Random number source in [0, 1)
+ * @returns {number} New hue in degrees
+ */
+export function nextRandomHue(previousHue, random = Math.random) {
+  const step = MIN_HUE_STEP + random() * (360 - 2 * MIN_HUE_STEP);
+  return (previousHue + step) % 360;
+}
+
+/**
+ * Give every ID in the SVG markup a prefix so several inlined copies do not clash
+ * @param {string} markup - SVG markup
+ * @param {string} prefix - Prefix for the IDs
+ * @returns {string} SVG markup with prefixed IDs
+ */
+export function prefixSvgIds(markup, prefix) {
+  const ids = [...markup.matchAll(/\sid="([^"]+)"/g)].map((match) => match[1]);
+  let result = markup;
+  for (const id of ids) {
+    result = result
+      .replaceAll(`id="${id}"`, `id="${prefix}-${id}"`)
+      .replaceAll(`url(#${id})`, `url(#${prefix}-${id})`)
+      .replaceAll(`href="#${id}"`, `href="#${prefix}-${id}"`);
+  }
+  return result;
+}
+
+/**
+ * Recolors the SVG logo on every wall and corner hit, DVD screensaver style.
+ * The DOM renderer gets the SVG inlined so its paths can be recolored (and
+ * transitioned) in place; the canvas renderer draws a recolored copy.
+ */
+class LogoRecolorer {
+  /**
+   * @param {LogoAnimator} animator - The animator whose logo is recolored
+   * @param {RecolorOptions} options - Recolor options
+   */
+  constructor(animator, options = {}) {
+    const {
+      palette = 'brand',
+      teamColors = [],
+      targetFill = '#e2ea20',
+      transition = 0,
+    } = options;
+
+    if (palette === 'team' && teamColors.length === 0) {
+      throw new Error('The team palette needs at least one team color');
+    }
+
+    this.animator = animator;
+    this.palette = palette;
+    this.colors = palette === 'team' ? teamColors : PALETTES.brand;
+    this.targetFill = targetFill.toLowerCase();
+    this.transition = transition;
+
+    // Color state, the logo starts in its original color
+    this.colorIndex = Math.max(0, this.colors.indexOf(this.targetFill));
+    this.hue = 0;
+    this.currentColor = this.targetFill;
+
+    // SVG state
+    this.markup = '';
+    /** @type {SVGSVGElement|null} */
+    this.svg = null;
+    /** @type {HTMLElement|null} */
+    this.originalLogo = null;
+    /** @type {SVGElement[]} */
+    this.paths = [];
+    /** @type {string|null} */
+    this.objectUrl = null;
+  }
+
+  /**
+   * Load the SVG markup and inline it when drawing through the DOM
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const { logo } = this.animator;
+    const src = logo.getAttribute('src');
+    if (!src) {
+      throw new Error(`Logo element "${logo.id}" has no SVG source to recolor`);
+    }
+
+    const response = await fetch(src);
+    if (!response.ok) {
+      throw new Error(`Failed to load "${src}": ${response.status}`);
+    }
+    this.markup = prefixSvgIds(await response.text(), this.animator.uniqueId);
+
+    if (!(this.animator.renderer instanceof CanvasRenderer)) {
+      this.inline();
+    }
+
+    // A restored color is painted as soon as there is something to paint
+    if (this.currentColor !== this.targetFill) {
+      this.paint();
+    }
+  }
+
+  /**
+   * Replace the `<img>` with the inline SVG
+   */
+  inline() {
+    const { logo } = this.animator;
+    const parsed = new DOMParser().parseFromString(this.markup, 'image/svg+xml');
+    if (!(parsed.documentElement instanceof SVGSVGElement)) {
+      throw new Error('Logo source is not an SVG document');
+    }
+    const svg = document.importNode(parsed.documentElement, true);
+
+    // Take over the identity and styling of the image, size comes from the viewBox
+    svg.removeAttribute('width');
+    svg.removeAttribute('height');
+    svg.id = logo.id;
+    svg.setAttribute('class', logo.getAttribute('class') || '');
+    svg.style.cssText = logo.style.cssText;
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', logo.getAttribute('alt') || '');
+
+    this.paths = [
+      ...svg.querySelectorAll(`[style*="fill:${this.targetFill}"]`),
+    ].filter((path) => path instanceof SVGElement);
+
+    if (this.transition > 0) {
+      for (const path of this.paths) {
+        path.style.transition = `fill ${this.transition}ms ease-in-out`;
+      }
+    }
+
+    this.originalLogo = logo;
+    logo.replaceWith(svg);
+    this.svg = svg;
+    this.animator.replaceLogoElement(svg);
+  }
+
+  /**
+   * Pick the next color from the palette
+   * @returns {string} The new color
+   */
+  nextColor() {
+    if (this.palette === 'random') {
+      this.hue = nextRandomHue(this.hue);
+      return `hsl(${this.hue.toFixed(0)}, 90%, 55%)`;
+    }
+
+    this.colorIndex = nextPaletteIndex(this.colors, this.colorIndex);
+    return this.colors[this.colorIndex] ?? this.targetFill;
+  }
+
+  /**
+   * Recolor the logo, called on every wall and corner hit
+   */
+  recolor() {
+    if (!this.markup) return;
+
+    this.currentColor = this.nextColor();
+    this.paint();
+  }
+
+  /**
+   * Show the current color on the inlined SVG or the canvas image
+   */
+  paint() {
+    if (this.svg) {
+      for (const path of this.paths) {
+        path.style.fill = this.currentColor;
+      }
+      return;
+    }
+
+    if (this.animator.renderer instanceof CanvasRenderer) {
+      const markup = this.markup.replaceAll(
+        `fill:${this.targetFill}`,
+        `fill:${this.currentColor}`
+      );
+      const previousUrl = this.objectUrl;
+      this.objectUrl = URL.createObjectURL(
+        new Blob([markup], { type: 'image/svg+xml' })
+      );
+      this.animator.renderer.setImageSource(this.objectUrl);
+
+      // The previous image is already decoded and on screen
+      if (previousUrl) URL.revokeObjectURL(previousUrl);
+    }
+  }
+
+  /**
+   * Get where the logo is in its color sequence
+   * @returns {RecolorState}
+   */
+  getState() {
+    return {
+      color: this.currentColor,
+      colorIndex: this.colorIndex,
+      hue: this.hue,
+    };
+  }
+
+  /**
+   * Continue the color sequence from a saved state
+   * @param {RecolorState} state - The saved state
+   */
+  setState(state) {
+    this.currentColor = state.color;
+    this.colorIndex = state.colorIndex;
+    this.hue = state.hue;
+
+    // Before the markup is loaded, initialize paints the color
+    if (this.markup) this.paint();
+  }
+
+  /**
+   * Put the original image back and release resources
+   */
+  cleanup() {
+    if (this.svg && this.originalLogo) {
+      this.originalLogo.style.cssText = this.svg.style.cssText;
+      this.originalLogo.setAttribute('class', this.svg.getAttribute('class') || '');
+      this.svg.replaceWith(this.originalLogo);
+      this.animator.replaceLogoElement(this.originalLogo);
+    }
+
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+
+    this.svg = null;
+    this.originalLogo = null;
+    this.paths = [];
+  }
+}
+
+export default LogoRecolorer;
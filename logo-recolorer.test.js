@@ -0,0 +1,54 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import {
+  PALETTES,
+  nextPaletteIndex,
+  nextRandomHue,
+  prefixSvgIds,
+} from './logo-recolorer.js';
+
+describe('nextPaletteIndex', () => {
+  test('cycles through the palette', () => {
+    const colors = PALETTES.brand;
+    /** @type {Array<string|undefined>} */
+    const seen = [];
+    let index = 0;
+    for (let i = 0; i < colors.length; i++) {
+      index = nextPaletteIndex(colors, index);
+      seen.push(colors[index]);
+    }
+
+    expect(seen).toEqual([...colors.slice(1), ...colors.slice(0, 1)]);
+  });
+
+  test('stays at zero for an empty palette', () => {
+    expect(nextPaletteIndex([], 3)).toBe(0);
+  });
+});
+
+describe('nextRandomHue', () => {
+  test('always changes the hue by at least 60 degrees', () => {
+    for (const random of [0, 0.25, 0.5, 0.999]) {
+      const hue = nextRandomHue(350, () => random);
+      const distance = Math.min(
+        Math.abs(hue - 350),
+        360 - Math.abs(hue - 350)
+      );
+      expect(hue).toBeGreaterThanOrEqual(0);
+      expect(hue).toBeLessThan(360);
+      expect(distance).toBeGreaterThanOrEqual(60 - 1e-9);
+    }
+  });
+});
+
+describe('prefixSvgIds', () => {
+  test('prefixes IDs and their references', () => {
+    const markup =
+      '<svg id="svg9"><clipPath id="clip1"/><g id="g5" clip-path="url(#clip1)"/><use href="#g5"/><g id="g55"/></svg>';
+
+    expect(prefixSvgIds(markup, 'logo-a')).toBe(
+      '<svg id="logo-a-svg9"><clipPath id="logo-a-clip1"/><g id="logo-a-g5" clip-path="url(#logo-a-clip1)"/><use href="#logo-a-g5"/><g id="logo-a-g55"/></svg>'
+    );
+  });
+});
@@ -0,0 +1,237 @@
+// @ts-check
+
+import { resolveLogoCollision } from './bounce-engine.js';
+import LogoAnimator from './logo-animator.js';
+
+/**
+ * Options for a logo's animator, see the LogoAnimator constructor
+ * @typedef {ConstructorParameters<typeof LogoAnimator>[1]} LogoOptions
+ */
+
+/** Attempts to find a free spot for a logo added at runtime */
+const PLACEMENT_ATTEMPTS = 20;
+
+/**
+ * Class that owns many logos, runs one shared requestAnimationFrame loop
+ * and resolves collisions between the logos
+ */
+class LogoScene {
+  /**
+   * @param {Object} options - Scene options
+   * @param {string} [options.src='LOGO-SPORTMAGIA2.svg'] - Image used for logos created by the scene
+   * @param {HTMLElement|null} [options.arena=null] - Element the logos bounce in, the window if omitted
+   * @param {LogoOptions} [options.logoOptions={}] - Options every logo starts from, such as for logos added from the keyboard
+   */
+  constructor(options = {}) {
+    const { src = 'LOGO-SPORTMAGIA2.svg', arena = null, logoOptions = {} } = options;
+
+    this.src = src;
+    this.arena = arena;
+    this.logoOptions = logoOptions;
+
+    /** @type {LogoAnimator[]} */
+    this.animators = [];
+
+    // Elements created by the scene, removed again with their animator
+    /** @type {Set<HTMLElement>} */
+    this.createdElements = new Set();
+    this.nextId = 1;
+
+    // Animation state
+    this.isRunning = false;
+    /** @type {number|null} */
+    this.animationFrameId = null;
+
+    // Bind methods
+    this.loop = this.loop.bind(this);
+  }
+
+  /**
+   * Add a logo to the scene and start animating it
+   * @param {string} [logoId] - The ID of an existing logo element, a new image is created if omitted
+   * @param {LogoOptions} [options] - Options for this logo's animator, on top of the scene's logo options
+   * @returns {LogoAnimator} The animator of the added logo
+   */
+  add(logoId, options = {}) {
+    const isCreated = !logoId;
+    const id = logoId || this.createLogoElement();
+
+    const animator = new LogoAnimator(id, {
+      arena: this.arena,
+      ...this.logoOptions,
+      ...options,
+    });
+    animator.scene = this;
+    if (isCreated) this.placeAtFreeSpot(animator);
+
+    animator.initialize();
+    this.animators.push(animator);
+
+    if (!this.isRunning) this.start();
+    return animator;
+  }
+
+  /**
+   * Stop animating a logo and remove it from the scene
+   * @param {LogoAnimator} animator - The animator to remove
+   */
+  remove(animator) {
+    const index = this.animators.indexOf(animator);
+    if (index === -1) return;
+
+    this.animators.splice(index, 1);
+    animator.cleanup();
+    animator.scene = null;
+
+    // Only remove images the scene created itself
+    if (this.createdElements.delete(animator.logo)) {
+      animator.logo.remove();
+    }
+
+    if (this.animators.length === 0) this.stop();
+  }
+
+  /**
+   * Create an image element for a logo added at runtime
+   * @returns {string} The ID of the new element
+   */
+  createLogoElement() {
+    let id = `scene-logo-${this.nextId++}`;
+    while (document.getElementById(id)) {
+      id = `scene-logo-${this.nextId++}`;
+    }
+
+    const image = document.createElement('img');
+    image.id = id;
+    image.src = this.src;
+    image.alt = 'SportMagia logo';
+    (this.arena ?? document.body).appendChild(image);
+
+    this.createdElements.add(image);
+    return id;
+  }
+
+  /**
+   * Start a new logo where it does not overlap the others
+   * @param {LogoAnimator} animator - The animator to place
+   */
+  placeAtFreeSpot(animator) {
+    // The image is not loaded yet, so estimate its size like initializeLogoDimensions
+    const width = animator.getBaseLogoWidth();
+    const height = width / 2; // The logo is a bit more than twice as wide as tall
+    const rangeX = Math.max(0, animator.arena.width - width) / 2;
+    const rangeY = Math.max(0, animator.arena.height - height) / 2;
+
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+      const x = (Math.random() * 2 - 1) * rangeX;
+      const y = (Math.random() * 2 - 1) * rangeY;
+      const isFree = this.animators.every(
+        (other) =>
+          Math.abs(other.currentX - x) >= width ||
+          Math.abs(other.currentY - y) >= height
+      );
+
+      animator.currentX = x;
+      animator.currentY = y;
+      if (isFree) return;
+    }
+  }
+
+  /**
+   * Start the shared animation loop
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.animationFrameId = requestAnimationFrame(this.loop);
+  }
+
+  /**
+   * Stop the shared animation loop
+   */
+  stop() {
+    this.isRunning = false;
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
+
+  /**
+   * Shared animation loop driving every logo
+   * @param {number} timestamp - Current frame timestamp
+   */
+  loop(timestamp) {
+    if (!this.isRunning) return;
+
+    for (const animator of this.animators) {
+      if (animator.isAnimating) animator.update(timestamp);
+    }
+
+    this.resolveLogoCollisions(timestamp);
+
+    this.animationFrameId = requestAnimationFrame(this.loop);
+  }
+
+  /**
+   * Bounce logos off each other
+   * @param {number} timestamp - Current frame timestamp
+   */
+  resolveLogoCollisions(timestamp) {
+    for (let i = 0; i < this.animators.length; i++) {
+      for (let j = i + 1; j < this.animators.length; j++) {
+        const a = /** @type {LogoAnimator} */ (this.animators[i]);
+        const b = /** @type {LogoAnimator} */ (this.animators[j]);
+        if (!a.logoDimensions || !b.logoDimensions) continue;
+
+        const angleBeforeA = a.angle;
+        const angleBeforeB = b.angle;
+        // Paused and held logos stay where they are, the other one bounces off them
+        const fixedA = a.isPaused || a.isHeld;
+        const fixedB = b.isPaused || b.isHeld;
+        const collision = resolveLogoCollision(a.engine, b.engine, { fixedA, fixedB });
+        if (!collision) continue;
+
+        // Moving logos continue on a new path from where they are now
+        if (!fixedA) a.motionStrategy.restart(a.time);
+        if (!fixedB) b.motionStrategy.restart(b.time);
+
+        for (const [animator, other, angleBefore] of /** @type {const} */ ([
+          [a, b, angleBeforeA],
+          [b, a, angleBeforeB],
+        ])) {
+          animator.emit('logohit', {
+            other,
+            axis: collision.axis,
+            position: { x: collision.x, y: collision.y },
+            angleBefore,
+            angleAfter: animator.angle,
+            timestamp,
+          });
+
+          if (animator.debugger) {
+            animator.debugger.log(
+              `Logo collision (${collision.axis}) - new angle: ${(
+                (animator.angle * 180) /
+                Math.PI
+              ).toFixed(1)}°`,
+              { category: 'collision' }
+            );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove every logo and stop the loop
+   */
+  cleanup() {
+    for (const animator of [...this.animators]) {
+      this.remove(animator);
+    }
+    this.stop();
+  }
+}
+
+export default LogoScene;
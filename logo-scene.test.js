@@ -0,0 +1,290 @@
+// @ts-check
+
+import { afterAll, beforeEach, describe, expect, test } from 'bun:test';
+
+/**
+ * Just enough of an element for the animators of a scene
+ */
+class FakeElement {
+  /**
+   * @param {string} tagName - Tag name
+   */
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.id = '';
+    /** @type {FakeElement|null} */
+    this.parentNode = null;
+    /** @type {FakeElement[]} */
+    this.children = [];
+    /** @type {Record<string, string>} */
+    this.attributes = {};
+    this.dataset = {};
+    this.style = {
+      cssText: '',
+      setProperty() {},
+      removeProperty() {},
+    };
+    /** @type {Set<string>} */
+    const classes = new Set();
+    this.classList = {
+      /** @param {string[]} names */
+      add: (...names) => names.forEach((name) => classes.add(name)),
+      /** @param {string[]} names */
+      remove: (...names) => names.forEach((name) => classes.delete(name)),
+      /** @param {string} name */
+      contains: (name) => classes.has(name),
+      /**
+       * @param {string} name
+       * @param {boolean} [force]
+       */
+      toggle: (name, force = !classes.has(name)) => {
+        if (force) classes.add(name);
+        else classes.delete(name);
+        return force;
+      },
+    };
+  }
+
+  /**
+   * @param {FakeElement} child
+   */
+  appendChild(child) {
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  /** Take the element out of its parent */
+  remove() {
+    const parent = this.parentNode;
+    if (parent) parent.children = parent.children.filter((child) => child !== this);
+    this.parentNode = null;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} value
+   */
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+  }
+
+  /**
+   * @param {string} name
+   */
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  /** Every logo measures 200x100 */
+  getBoundingClientRect() {
+    return { left: 0, top: 0, right: 200, bottom: 100, width: 200, height: 100 };
+  }
+
+  addEventListener() {}
+  removeEventListener() {}
+
+  querySelectorAll() {
+    return [];
+  }
+}
+
+/** Callbacks waiting for the next frame */
+/** @type {FrameRequestCallback[]} */
+let frames = [];
+
+const body = new FakeElement('body');
+
+/**
+ * Find an element of the fake page by its ID
+ * @param {FakeElement} root - Where to search
+ * @param {string} id - The ID
+ * @returns {FakeElement|null}
+ */
+function findById(root, id) {
+  for (const child of root.children) {
+    if (child.id === id) return child;
+    const found = findById(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+const noop = () => {};
+const fakeGlobals = {
+  window: {
+    innerWidth: 1000,
+    innerHeight: 600,
+    devicePixelRatio: 1,
+    location: { hostname: 'example.com' },
+    addEventListener: noop,
+    removeEventListener: noop,
+    matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  },
+  document: {
+    body,
+    hidden: false,
+    /** @param {string} id */
+    getElementById: (id) => findById(body, id),
+    /** @param {string} tagName */
+    createElement: (tagName) => new FakeElement(tagName),
+    addEventListener: noop,
+    removeEventListener: noop,
+  },
+  /** @param {FrameRequestCallback} callback */
+  requestAnimationFrame: (callback) => frames.push(callback),
+  cancelAnimationFrame: noop,
+  ResizeObserver: class {
+    observe() {}
+    disconnect() {}
+  },
+  MutationObserver: class {
+    observe() {}
+    disconnect() {}
+  },
+};
+
+// Other test files run in the same process without a page
+const realGlobals = Object.fromEntries(
+  Object.keys(fakeGlobals).map((name) => [name, Reflect.get(globalThis, name)])
+);
+Object.assign(globalThis, fakeGlobals);
+afterAll(() => {
+  Object.assign(globalThis, realGlobals);
+});
+
+// The animators read the fake page while they are created
+const { default: LogoScene } = await import('./logo-scene.js');
+
+/**
+ * Put a logo of the page in the body
+ * @param {string} id - Its ID
+ */
+function addPageLogo(id) {
+  const image = new FakeElement('img');
+  image.id = id;
+  body.appendChild(image);
+  return image;
+}
+
+beforeEach(() => {
+  body.children = [];
+  frames = [];
+});
+
+describe('LogoScene', () => {
+  test('drives added logos from one shared loop', () => {
+    addPageLogo('logo');
+    const scene = new LogoScene();
+    const animator = scene.add('logo', { keys: false });
+
+    expect(scene.animators).toEqual([animator]);
+    expect(animator.scene).toBe(scene);
+    expect(scene.isRunning).toBe(true);
+    expect(frames).toHaveLength(1);
+
+    let updates = 0;
+    animator.update = () => {
+      updates++;
+    };
+    /** @type {FrameRequestCallback} */ (frames.shift())(16);
+
+    expect(updates).toBe(1);
+    expect(frames).toHaveLength(1);
+  });
+
+  test('creates an image for a logo without an element and removes it again', () => {
+    const scene = new LogoScene({ src: 'logo.svg' });
+    const animator = scene.add(undefined, { keys: false });
+    const image = animator.logo;
+
+    expect(image.id).toBe('scene-logo-1');
+    expect(/** @type {HTMLImageElement} */ (image).src).toBe('logo.svg');
+    expect(body.children).toContain(/** @type {any} */ (image));
+
+    scene.remove(animator);
+
+    expect(body.children).not.toContain(/** @type {any} */ (image));
+    expect(scene.createdElements.size).toBe(0);
+    expect(scene.animators).toHaveLength(0);
+    expect(animator.scene).toBeNull();
+    expect(scene.isRunning).toBe(false);
+  });
+
+  test('starts every logo from the scene logo options', () => {
+    const scene = new LogoScene({ logoOptions: { traversalDuration: 2, keys: false } });
+    const plain = scene.add();
+    const tuned = scene.add(undefined, { traversalDuration: 6 });
+
+    expect(plain.traversalDuration).toBe(2);
+    expect(plain.keymap).toBeNull();
+    expect(tuned.traversalDuration).toBe(6);
+  });
+
+  test('leaves logos of the page in place when removing them', () => {
+    const image = addPageLogo('logo');
+    const scene = new LogoScene();
+    const animator = scene.add('logo', { keys: false });
+
+    scene.remove(animator);
+
+    expect(body.children).toContain(image);
+  });
+
+  test('places a created logo where it does not overlap the others', () => {
+    addPageLogo('logo');
+    const scene = new LogoScene();
+    const first = scene.add('logo', { keys: false });
+    const second = scene.add(undefined, { keys: false });
+
+    expect(
+      Math.abs(second.currentX - first.currentX) >= 200 ||
+        Math.abs(second.currentY - first.currentY) >= 100
+    ).toBe(true);
+  });
+
+  test('bounces overlapping logos apart and tells both', () => {
+    addPageLogo('left');
+    addPageLogo('right');
+    const scene = new LogoScene();
+    const left = scene.add('left', { angle: 0, keys: false });
+    const right = scene.add('right', { angle: 180, keys: false });
+
+    for (const animator of [left, right]) animator.syncEngineBounds();
+    left.restartMotion({ x: -90, y: 0 });
+    right.restartMotion({ x: 90, y: 0 });
+
+    /** @type {any[]} */
+    const hits = [];
+    left.addEventListener('logohit', (event) => hits.push(/** @type {CustomEvent} */ (event).detail));
+    right.addEventListener('logohit', (event) => hits.push(/** @type {CustomEvent} */ (event).detail));
+
+    scene.resolveLogoCollisions(100);
+
+    expect(hits).toHaveLength(2);
+    expect(hits[0].other).toBe(right);
+    expect(hits[1].other).toBe(left);
+    expect(hits[0].axis).toBe('horizontal');
+    expect(Math.cos(left.angle)).toBeLessThan(0);
+    expect(Math.cos(right.angle)).toBeGreaterThan(0);
+  });
+
+  test('bounces logos off a paused logo without pushing it', () => {
+    addPageLogo('moving');
+    addPageLogo('paused');
+    const scene = new LogoScene();
+    const moving = scene.add('moving', { angle: 0, keys: false });
+    const paused = scene.add('paused', { angle: 180, keys: false });
+
+    for (const animator of [moving, paused]) animator.syncEngineBounds();
+    moving.restartMotion({ x: -90, y: 0 });
+    paused.restartMotion({ x: 90, y: 0 });
+    paused.pause();
+
+    scene.resolveLogoCollisions(100);
+
+    expect(paused.engine.x).toBe(90);
+    expect(paused.angle).toBeCloseTo(Math.PI);
+    expect(Math.cos(moving.angle)).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,228 @@
+// @ts-check
+
+import { consumeKeydown } from './logo-keymap.js';
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ */
+
+/**
+ * @typedef {Object} ScreensaverOptions
+ * @property {number} [idleTimeout=60] - Seconds without input before the screensaver starts
+ * @property {boolean} [fullscreen=true] - Ask for fullscreen while the screensaver is active
+ * @property {boolean} [wakeLock=true] - Keep the screen on while the screensaver is active, where the Screen Wake Lock API is available
+ */
+
+/** Input that counts as activity */
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'wheel', 'touchstart', 'keydown'];
+
+/**
+ * Starts a screensaver after a while without input: the page goes
+ * fullscreen, holds a wake lock and hides the cursor and the debug button.
+ * Any input ends it again.
+ */
+class LogoScreensaver {
+  /**
+   * @param {LogoAnimator} animator - The animator that owns the screensaver
+   * @param {ScreensaverOptions} options - Screensaver options
+   */
+  constructor(animator, options = {}) {
+    const { idleTimeout = 60, fullscreen = true, wakeLock = true } = options;
+
+    if (!Number.isFinite(idleTimeout) || idleTimeout <= 0) {
+      throw new Error(`Idle timeout must be a positive number, got ${idleTimeout}`);
+    }
+
+    this.animator = animator;
+    this.idleTimeout = idleTimeout;
+    this.useFullscreen = fullscreen;
+    this.useWakeLock = wakeLock;
+
+    // Screensaver state
+    this.isActive = false;
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    this.idleTimer = null;
+    /** @type {WakeLockSentinel|null} */
+    this.wakeLock = null;
+    this.hasEnteredFullscreen = false;
+    /** @type {{x: number, y: number}|null} */
+    this.lastPointer = null;
+
+    // Bind methods
+    this.start = this.start.bind(this);
+    this.handleActivity = this.handleActivity.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Start watching for input
+   */
+  initialize() {
+    for (const type of ACTIVITY_EVENTS) {
+      document.addEventListener(type, this.handleActivity, {
+        capture: true,
+        passive: true,
+      });
+    }
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    this.restartIdleTimer();
+  }
+
+  /**
+   * Count down to the screensaver again
+   */
+  restartIdleTimer() {
+    if (this.idleTimer !== null) clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(this.start, this.idleTimeout * 1000);
+  }
+
+  /**
+   * End the screensaver on input and count down again
+   * @param {Event} event - The input
+   * @returns {boolean} Whether the input ended the screensaver
+   */
+  handleActivity(event) {
+    // Browsers send moves without movement when logos pass under a resting pointer
+    if (event instanceof PointerEvent && event.type === 'pointermove') {
+      const { lastPointer } = this;
+      this.lastPointer = { x: event.screenX, y: event.screenY };
+      if (lastPointer && lastPointer.x === event.screenX && lastPointer.y === event.screenY) {
+        return false;
+      }
+    }
+
+    const wasActive = this.isActive;
+    if (wasActive) {
+      // Captured before any animator sees it, the key that wakes the page does nothing else
+      if (event instanceof KeyboardEvent) consumeKeydown(event);
+      this.stop();
+    }
+    this.restartIdleTimer();
+    return wasActive;
+  }
+
+  /**
+   * Go fullscreen, keep the screen on and hide the controls
+   */
+  start() {
+    this.idleTimer = null;
+    if (this.isActive) return;
+
+    this.isActive = true;
+    document.body.classList.add('screensaver');
+    this.requestFullscreen();
+    this.requestWakeLock();
+
+    this.log(`Screensaver started after ${this.idleTimeout}s without input`);
+    this.animator.emit('screensaverstart', this.animator.getLifecycleDetail());
+  }
+
+  /**
+   * Leave fullscreen, let the screen sleep and show the controls again
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    this.isActive = false;
+    document.body.classList.remove('screensaver');
+    this.releaseWakeLock();
+
+    // Only leave a fullscreen the screensaver entered itself
+    if (this.hasEnteredFullscreen && document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+    this.hasEnteredFullscreen = false;
+
+    this.log('Screensaver stopped');
+    this.animator.emit('screensaverstop', this.animator.getLifecycleDetail());
+  }
+
+  /**
+   * Ask for fullscreen. Browsers only allow it after a user gesture, so an
+   * idle page is usually refused unless the browser runs in kiosk mode.
+   */
+  async requestFullscreen() {
+    const root = document.documentElement;
+    if (!this.useFullscreen || document.fullscreenElement || !root.requestFullscreen) {
+      return;
+    }
+
+    try {
+      await root.requestFullscreen();
+      if (this.isActive) {
+        this.hasEnteredFullscreen = true;
+      } else {
+        // Input ended the screensaver while waiting
+        await document.exitFullscreen();
+      }
+    } catch (error) {
+      this.log(`Fullscreen refused: ${error}`, 'warn');
+    }
+  }
+
+  /**
+   * Keep the screen on, where the Screen Wake Lock API is available
+   */
+  async requestWakeLock() {
+    if (!this.useWakeLock || !('wakeLock' in navigator) || this.wakeLock) return;
+
+    try {
+      const wakeLock = await navigator.wakeLock.request('screen');
+      if (this.isActive && !this.wakeLock) {
+        this.wakeLock = wakeLock;
+      } else {
+        await wakeLock.release();
+      }
+    } catch (error) {
+      this.log(`Wake lock refused: ${error}`, 'warn');
+    }
+  }
+
+  /**
+   * Let the screen sleep again
+   */
+  releaseWakeLock() {
+    const { wakeLock } = this;
+    this.wakeLock = null;
+    wakeLock?.release().catch(() => {});
+  }
+
+  /**
+   * The browser releases the wake lock while the page is hidden, take it again when it comes back
+   */
+  handleVisibilityChange() {
+    if (document.hidden || !this.isActive) return;
+    if (this.wakeLock?.released) this.wakeLock = null;
+    this.requestWakeLock();
+  }
+
+  /**
+   * Log to the debugger, a refused request is a warning and the screensaver keeps running without it
+   * @param {string} message - What happened
+   * @param {'info'|'warn'} [level='info'] - Log level
+   */
+  log(message, level = 'info') {
+    if (this.animator.debugger) {
+      this.animator.debugger.log(message, { level, category: 'lifecycle' });
+    }
+  }
+
+  /**
+   * End the screensaver and stop watching for input
+   */
+  cleanup() {
+    if (this.idleTimer !== null) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+    for (const type of ACTIVITY_EVENTS) {
+      document.removeEventListener(type, this.handleActivity, { capture: true });
+    }
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+    this.stop();
+  }
+}
+
+export default LogoScreensaver;
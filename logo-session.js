@@ -0,0 +1,242 @@
+// @ts-check
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ * @typedef {import('./logo-recolorer.js').RecolorState} RecolorState
+ */
+
+/**
+ * @typedef {'angle'|'speed'} KeptOption
+ */
+
+/**
+ * @typedef {Object} SessionOptions
+ * @property {string} [storageKey] - sessionStorage key, defaults to one per animator `uniqueId`
+ * @property {KeptOption[]} [keep=[]] - Values set on purpose through the animator options, the saved state does not override them
+ */
+
+/**
+ * Everything needed to continue an animation where it was
+ * @typedef {Object} AnimatorState
+ * @property {number} x - X position in normalized coordinates
+ * @property {number} y - Y position in normalized coordinates
+ * @property {number} angle - Angle in radians
+ * @property {number} speed - Speed in pixels per second
+ * @property {number} arenaWidth - Arena width the position and speed were taken in
+ * @property {number} arenaHeight - Arena height the position and speed were taken in
+ * @property {number} timeScale - Playback speed
+ * @property {boolean} isPaused - Whether the user paused the animation
+ * @property {boolean} isGlowing - Whether the logo was glowing
+ * @property {RecolorState|null} color - Color of a recolored logo
+ */
+
+/**
+ * Check that a value is a finite number
+ * @param {unknown} value - The value
+ * @returns {value is number}
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Restore a state saved as JSON, broken data gives no state
+ * @param {string|null} json - The saved JSON
+ * @returns {AnimatorState|null}
+ */
+export function parseState(json) {
+  if (!json) return null;
+
+  try {
+    const data = JSON.parse(json);
+    const { color } = data;
+
+    const isValid =
+      [data.x, data.y, data.angle, data.speed].every(isFiniteNumber) &&
+      data.speed >= 0 &&
+      [data.arenaWidth, data.arenaHeight, data.timeScale].every(
+        (value) => isFiniteNumber(value) && value > 0
+      ) &&
+      typeof data.isPaused === 'boolean' &&
+      typeof data.isGlowing === 'boolean' &&
+      (color === null ||
+        (typeof color === 'object' &&
+          typeof color.color === 'string' &&
+          isFiniteNumber(color.colorIndex) &&
+          isFiniteNumber(color.hue)));
+    if (!isValid) return null;
+
+    return {
+      x: data.x,
+      y: data.y,
+      angle: data.angle,
+      speed: data.speed,
+      arenaWidth: data.arenaWidth,
+      arenaHeight: data.arenaHeight,
+      timeScale: data.timeScale,
+      isPaused: data.isPaused,
+      isGlowing: data.isGlowing,
+      color: color && {
+        color: color.color,
+        colorIndex: color.colorIndex,
+        hue: color.hue,
+      },
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Move a state to an arena of another size. The position keeps its share of
+ * the arena and the speed its share of the diagonal, like a resize does.
+ * @param {AnimatorState} state - The state
+ * @param {number} width - New arena width in pixels
+ * @param {number} height - New arena height in pixels
+ * @returns {AnimatorState} The state in the new arena
+ */
+export function rescaleState(state, width, height) {
+  if (state.arenaWidth === width && state.arenaHeight === height) return state;
+
+  const diagonalScale =
+    Math.hypot(width, height) / Math.hypot(state.arenaWidth, state.arenaHeight);
+
+  return {
+    ...state,
+    x: (state.x * width) / state.arenaWidth,
+    y: (state.y * height) / state.arenaHeight,
+    speed: state.speed * diagonalScale,
+    arenaWidth: width,
+    arenaHeight: height,
+  };
+}
+
+/**
+ * Take the values set on purpose from the animator options over the saved ones
+ * @param {AnimatorState} state - The saved state
+ * @param {{angle: number, speed: number}} options - Angle and speed from the animator options
+ * @param {KeptOption[]} keep - Values the options win for
+ * @returns {AnimatorState} The state to continue from
+ */
+export function preferOptions(state, options, keep) {
+  return {
+    ...state,
+    angle: keep.includes('angle') ? options.angle : state.angle,
+    speed: keep.includes('speed') ? options.speed : state.speed,
+  };
+}
+
+/**
+ * Keeps the state of a logo in sessionStorage, so a reload continues the
+ * animation where it was instead of starting from the center again
+ */
+class LogoSession {
+  /**
+   * @param {LogoAnimator} animator - The animator whose state is kept
+   * @param {SessionOptions} options - Session options
+   */
+  constructor(animator, options = {}) {
+    const { storageKey = `sportmagia:session:${animator.uniqueId}`, keep = [] } = options;
+
+    this.animator = animator;
+    this.storageKey = storageKey;
+    this.keep = keep;
+
+    // Bind methods
+    this.save = this.save.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Continue from the saved state and save it when the page goes away
+   */
+  initialize() {
+    this.restore();
+
+    // Mobile browsers may discard a hidden page without a pagehide
+    window.addEventListener('pagehide', this.save);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  /**
+   * Read the saved state
+   * @returns {string|null} The saved JSON
+   */
+  load() {
+    try {
+      return window.sessionStorage.getItem(this.storageKey);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Apply the saved state, if there is one
+   */
+  restore() {
+    const saved = parseState(this.load());
+    if (!saved) return;
+
+    // The options are for this arena, so the saved state is moved to it first
+    const { animator } = this;
+    const state = preferOptions(
+      rescaleState(saved, animator.arena.width, animator.arena.height),
+      animator,
+      this.keep
+    );
+    animator.setState(state);
+
+    if (animator.debugger) {
+      animator.debugger.log('Session state restored', {
+        category: 'lifecycle',
+        data: state,
+      });
+    }
+  }
+
+  /**
+   * Save the state, storage can be full or disabled in private browsing
+   */
+  save() {
+    try {
+      window.sessionStorage.setItem(
+        this.storageKey,
+        JSON.stringify(this.animator.getState())
+      );
+    } catch (error) {
+      if (this.animator.debugger) {
+        this.animator.debugger.log(`Session state not saved: ${error}`, {
+          level: 'warn',
+        });
+      }
+    }
+  }
+
+  /**
+   * Forget the saved state, the next animator of this logo starts from its options
+   */
+  clear() {
+    try {
+      window.sessionStorage.removeItem(this.storageKey);
+    } catch {
+      // Nothing was saved without storage
+    }
+  }
+
+  /**
+   * Save when the page is hidden
+   */
+  handleVisibilityChange() {
+    if (document.hidden) this.save();
+  }
+
+  /**
+   * Stop saving, a removed or rebuilt logo leaves the last saved state for a reload
+   */
+  cleanup() {
+    window.removeEventListener('pagehide', this.save);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+}
+
+export default LogoSession;
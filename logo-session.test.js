@@ -0,0 +1,78 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { parseState, preferOptions, rescaleState } from './logo-session.js';
+
+/** A logo halfway to the right edge of an 800x600 arena */
+const STATE = {
+  x: 200,
+  y: -150,
+  angle: 1,
+  speed: 250,
+  arenaWidth: 800,
+  arenaHeight: 600,
+  timeScale: 1,
+  isPaused: false,
+  isGlowing: false,
+  color: { color: '#ff0000', colorIndex: 2, hue: 0 },
+};
+
+describe('parseState', () => {
+  test('restores a saved state', () => {
+    expect(parseState(JSON.stringify(STATE))).toEqual(STATE);
+  });
+
+  test('restores a logo without recoloring', () => {
+    expect(parseState(JSON.stringify({ ...STATE, color: null }))?.color).toBeNull();
+  });
+
+  test('gives no state for missing or broken data', () => {
+    expect(parseState(null)).toBeNull();
+    expect(parseState('{')).toBeNull();
+    expect(parseState('null')).toBeNull();
+    expect(parseState(JSON.stringify({ ...STATE, x: 'left' }))).toBeNull();
+    expect(parseState(JSON.stringify({ ...STATE, arenaWidth: 0 }))).toBeNull();
+    expect(parseState(JSON.stringify({ ...STATE, color: { color: 5 } }))).toBeNull();
+  });
+
+  test('drops unknown fields', () => {
+    const state = parseState(JSON.stringify({ ...STATE, extra: true }));
+
+    expect(state).not.toHaveProperty('extra');
+  });
+});
+
+describe('preferOptions', () => {
+  test('does not let the saved state override options set on purpose', () => {
+    const state = preferOptions(STATE, { angle: 2, speed: 400 }, ['angle', 'speed']);
+
+    expect(state.angle).toBe(2);
+    expect(state.speed).toBe(400);
+    expect(state.x).toBe(STATE.x);
+    expect(state.y).toBe(STATE.y);
+  });
+
+  test('continues with the saved angle and speed otherwise', () => {
+    const state = preferOptions(STATE, { angle: 2, speed: 400 }, ['speed']);
+
+    expect(state.angle).toBe(STATE.angle);
+    expect(state.speed).toBe(400);
+  });
+});
+
+describe('rescaleState', () => {
+  test('keeps a state taken in an arena of the same size', () => {
+    expect(rescaleState(STATE, 800, 600)).toBe(STATE);
+  });
+
+  test('keeps the share of the arena and of the diagonal', () => {
+    const state = rescaleState(STATE, 1600, 900);
+
+    expect(state.x).toBe(400);
+    expect(state.y).toBe(-225);
+    expect(state.speed).toBeCloseTo((250 * Math.hypot(1600, 900)) / 1000);
+    expect(state.angle).toBe(STATE.angle);
+    expect(state.arenaWidth).toBe(1600);
+    expect(state.arenaHeight).toBe(900);
+  });
+});
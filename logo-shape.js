@@ -0,0 +1,146 @@
+// @ts-check
+
+/**
+ * @typedef {import('./bounce-engine.js').HitShape} HitShape
+ */
+
+/**
+ * @typedef {Object} TraceOptions
+ * @property {number} [sampleWidth=256] - Width the image is rasterized at before sampling, in pixels
+ * @property {number} [alphaThreshold=32] - Smallest alpha (0-255) that counts as ink
+ */
+
+/**
+ * Collect the outer corners of the ink in every row of an alpha mask, their
+ * convex hull is the hull of all opaque pixels
+ * @param {ArrayLike<number>} data - RGBA pixel data, four values per pixel
+ * @param {number} width - Mask width in pixels
+ * @param {number} height - Mask height in pixels
+ * @param {number} [alphaThreshold=32] - Smallest alpha that counts as ink
+ * @returns {Array<{x: number, y: number}>} Points in pixel coordinates
+ */
+export function maskEdges(data, width, height, alphaThreshold = 32) {
+  /** @type {Array<{x: number, y: number}>} */
+  const points = [];
+
+  for (let y = 0; y < height; y++) {
+    let left = -1;
+    let right = -1;
+    for (let x = 0; x < width; x++) {
+      if ((data[(y * width + x) * 4 + 3] ?? 0) < alphaThreshold) continue;
+      if (left === -1) left = x;
+      right = x;
+    }
+    if (left === -1) continue;
+
+    // Pixel (x, y) covers the square from (x, y) to (x + 1, y + 1)
+    points.push(
+      { x: left, y },
+      { x: right + 1, y },
+      { x: left, y: y + 1 },
+      { x: right + 1, y: y + 1 }
+    );
+  }
+
+  return points;
+}
+
+/**
+ * Build the convex hull of a set of points with Andrew's monotone chain
+ * @param {Array<{x: number, y: number}>} points - The points
+ * @returns {Array<{x: number, y: number}>} Hull corners in order, without collinear points
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  /**
+   * Cross product of o→a and o→b, positive for a counterclockwise turn
+   * @param {{x: number, y: number}} o - Origin
+   * @param {{x: number, y: number}} a - First point
+   * @param {{x: number, y: number}} b - Second point
+   * @returns {number}
+   */
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+  /**
+   * Build one half of the hull
+   * @param {Array<{x: number, y: number}>} ordered - Points in sweep order
+   * @returns {Array<{x: number, y: number}>}
+   */
+  const chain = (ordered) => {
+    /** @type {Array<{x: number, y: number}>} */
+    const hull = [];
+    for (const point of ordered) {
+      while (
+        hull.length >= 2 &&
+        cross(
+          /** @type {{x: number, y: number}} */ (hull[hull.length - 2]),
+          /** @type {{x: number, y: number}} */ (hull[hull.length - 1]),
+          point
+        ) <= 0
+      ) {
+        hull.pop();
+      }
+      hull.push(point);
+    }
+    // The last point starts the other half
+    hull.pop();
+    return hull;
+  };
+
+  return [...chain(sorted), ...chain([...sorted].reverse())];
+}
+
+/**
+ * Turn a hull in pixel coordinates into a hit shape relative to the image center
+ * @param {Array<{x: number, y: number}>} hull - Hull in pixel coordinates
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {HitShape} Points as shares of the image size
+ */
+export function toHitShape(hull, width, height) {
+  return hull.map((point) => ({
+    x: point.x / width - 0.5,
+    y: point.y / height - 0.5,
+  }));
+}
+
+/**
+ * Rasterize the logo image once and build a convex hit shape around its opaque pixels
+ * @param {HTMLImageElement} image - The logo image, same-origin so its pixels can be read
+ * @param {TraceOptions} [options] - Sampling options
+ * @returns {Promise<HitShape>} The hit shape
+ */
+export async function traceHitShape(image, options = {}) {
+  const { sampleWidth = 256, alphaThreshold = 32 } = options;
+
+  await image.decode();
+
+  // SVGs without a width or height attribute have no natural size in some browsers
+  const naturalWidth = image.naturalWidth || image.width;
+  const naturalHeight = image.naturalHeight || image.height;
+  if (!naturalWidth || !naturalHeight) {
+    throw new Error('The logo image has no size to sample');
+  }
+
+  const width = sampleWidth;
+  const height = Math.max(1, Math.round((sampleWidth * naturalHeight) / naturalWidth));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  if (!context) {
+    throw new Error('Could not get a 2D context to sample the logo');
+  }
+
+  context.drawImage(image, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  const hull = convexHull(maskEdges(data, width, height, alphaThreshold));
+  if (hull.length < 3) {
+    throw new Error('The logo image has no opaque pixels to build a hull from');
+  }
+
+  return toHitShape(hull, width, height);
+}
@@ -0,0 +1,106 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { convexHull, maskEdges, toHitShape } from './logo-shape.js';
+
+/**
+ * Build RGBA pixel data from rows of characters, `#` is opaque
+ * @param {string[]} rows - One string per row
+ * @returns {Uint8ClampedArray}
+ */
+function createMask(rows) {
+  const width = rows[0]?.length ?? 0;
+  const data = new Uint8ClampedArray(width * rows.length * 4);
+  rows.forEach((row, y) => {
+    [...row].forEach((pixel, x) => {
+      data[(y * width + x) * 4 + 3] = pixel === '#' ? 255 : 0;
+    });
+  });
+  return data;
+}
+
+describe('maskEdges', () => {
+  test('collects the outer corners of the ink in every row', () => {
+    const data = createMask(['....', '.##.', '..#.']);
+
+    expect(maskEdges(data, 4, 3)).toEqual([
+      { x: 1, y: 1 },
+      { x: 3, y: 1 },
+      { x: 1, y: 2 },
+      { x: 3, y: 2 },
+      { x: 2, y: 2 },
+      { x: 3, y: 2 },
+      { x: 2, y: 3 },
+      { x: 3, y: 3 },
+    ]);
+  });
+
+  test('ignores pixels below the alpha threshold', () => {
+    const data = createMask(['##']);
+    data[3] = 10;
+
+    expect(maskEdges(data, 2, 1, 32)).toEqual([
+      { x: 1, y: 0 },
+      { x: 2, y: 0 },
+      { x: 1, y: 1 },
+      { x: 2, y: 1 },
+    ]);
+  });
+});
+
+describe('convexHull', () => {
+  test('drops points inside the hull and on its edges', () => {
+    const hull = convexHull([
+      { x: 0, y: 0 },
+      { x: 2, y: 0 },
+      { x: 4, y: 0 },
+      { x: 1, y: 1 },
+      { x: 4, y: 4 },
+      { x: 0, y: 4 },
+    ]);
+
+    expect(hull).toHaveLength(4);
+    expect(hull).toEqual(
+      expect.arrayContaining([
+        { x: 0, y: 0 },
+        { x: 4, y: 0 },
+        { x: 4, y: 4 },
+        { x: 0, y: 4 },
+      ])
+    );
+  });
+
+  test('wraps a staircase of pixels', () => {
+    const data = createMask(['#...', '##..', '###.', '####']);
+    const hull = convexHull(maskEdges(data, 4, 4));
+
+    expect(hull).toHaveLength(5);
+    expect(hull).toEqual(
+      expect.arrayContaining([
+        { x: 0, y: 0 },
+        { x: 1, y: 0 },
+        { x: 4, y: 3 },
+        { x: 4, y: 4 },
+        { x: 0, y: 4 },
+      ])
+    );
+  });
+});
+
+describe('toHitShape', () => {
+  test('measures the hull from the image center in shares of its size', () => {
+    expect(
+      toHitShape(
+        [
+          { x: 0, y: 0 },
+          { x: 200, y: 50 },
+        ],
+        200,
+        100
+      )
+    ).toEqual([
+      { x: -0.5, y: -0.5 },
+      { x: 0.5, y: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,259 @@
+// @ts-check
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ * @typedef {import('./logo-animator.js').HitEventDetail} HitEventDetail
+ * @typedef {import('./bounce-engine.js').Wall} Wall
+ */
+
+/**
+ * @typedef {Object} SoundPreset
+ * @property {OscillatorType} type - Oscillator waveform
+ * @property {Record<Wall, number>} wallPitches - Bonk frequency in Hz for every wall
+ * @property {number} decay - Bonk length in seconds
+ * @property {number[]} fanfare - Fanfare notes in Hz, the last one is held
+ */
+
+/**
+ * @typedef {'classic'|'arcade'|'soft'} SoundPresetName
+ */
+
+/**
+ * @typedef {Object} SoundOptions
+ * @property {number} [volume=0.5] - Volume from 0 to 1
+ * @property {SoundPresetName} [preset='classic'] - How the sounds are synthesized
+ */
+
+/** Sound presets, all synthesized so nothing has to be fetched */
+export const PRESETS = /** @type {Record<SoundPresetName, SoundPreset>} */ ({
+  classic: {
+    type: 'triangle',
+    wallPitches: { top: 440, bottom: 330, left: 392, right: 494 },
+    decay: 0.15,
+    fanfare: [523.25, 659.25, 783.99, 1046.5],
+  },
+  arcade: {
+    type: 'square',
+    wallPitches: { top: 880, bottom: 660, left: 784, right: 988 },
+    decay: 0.08,
+    fanfare: [659.25, 783.99, 987.77, 1318.51],
+  },
+  soft: {
+    type: 'sine',
+    wallPitches: { top: 294, bottom: 220, left: 262, right: 330 },
+    decay: 0.3,
+    fanfare: [392, 493.88, 587.33, 783.99],
+  },
+});
+
+/** Semitones the pitch moves between both ends of a wall */
+const PITCH_RANGE = 4;
+
+/** Time between two fanfare notes, in seconds */
+const FANFARE_STEP = 0.12;
+
+/** Length of the held last fanfare note, in seconds */
+const FANFARE_HOLD = 0.4;
+
+/**
+ * Get the bonk pitch for a wall hit, higher towards the top and the right end of the wall
+ * @param {SoundPreset} preset - Sound preset
+ * @param {Wall} wall - The wall that was hit
+ * @param {number} along - Position along the wall from -1 to 1, left or top is -1
+ * @returns {number} Frequency in Hz
+ */
+export function bonkPitch(preset, wall, along) {
+  const clamped = Math.max(-1, Math.min(1, along));
+  // Up is negative y, so the pitch rises towards the top of a side wall
+  const direction = wall === 'left' || wall === 'right' ? -1 : 1;
+  const semitones = (direction * clamped * PITCH_RANGE) / 2;
+  return preset.wallPitches[wall] * Math.pow(2, semitones / 12);
+}
+
+/**
+ * Get the stereo pan for a hit position
+ * @param {number} x - Normalized X position
+ * @param {number} width - Viewport width
+ * @returns {number} Pan from -1 (left) to 1 (right)
+ */
+export function panForPosition(x, width) {
+  if (width <= 0) return 0;
+  return Math.max(-1, Math.min(1, x / (width / 2)));
+}
+
+// Shared by every logo on the page, created on the first unmute
+/** @type {AudioContext|null} */
+let audioContext = null;
+let isMuted = true;
+
+/**
+ * Whether the page sounds are muted
+ * @returns {boolean}
+ */
+export function isSoundMuted() {
+  return isMuted;
+}
+
+/**
+ * Mute or unmute every logo. Unmuting must happen in a user gesture, like a
+ * click, or the browser keeps the audio suspended.
+ * @param {boolean} muted - Whether the sounds are muted
+ */
+export function setSoundMuted(muted) {
+  isMuted = muted;
+
+  // Mute buttons on the page follow changes from keyboard shortcuts
+  window.dispatchEvent(new CustomEvent('soundmutechange', { detail: { muted } }));
+  if (muted) return;
+
+  if (!audioContext) audioContext = new AudioContext();
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch((error) => {
+      console.warn('Audio could not be started:', error);
+    });
+  }
+}
+
+/**
+ * Plays a synthesized bonk on wall hits and a fanfare on corner hits.
+ * Pitch follows the wall and the spot on it, pan follows the X position.
+ */
+class LogoSounds {
+  /**
+   * @param {LogoAnimator} animator - The animator whose hits are heard
+   * @param {SoundOptions} options - Sound options
+   */
+  constructor(animator, options = {}) {
+    const { volume = 0.5, preset = 'classic' } = options;
+
+    if (!(preset in PRESETS)) {
+      throw new Error(`Unknown sound preset "${preset}"`);
+    }
+
+    this.animator = animator;
+    this.preset = PRESETS[preset];
+    this.volume = Math.max(0, Math.min(1, volume));
+
+    /** @type {GainNode|null} */
+    this.output = null;
+  }
+
+  /**
+   * Get the volume node of this logo, connected once audio is available
+   * @param {AudioContext} context - The shared audio context
+   * @returns {GainNode}
+   */
+  getOutput(context) {
+    if (!this.output || this.output.context !== context) {
+      this.output = context.createGain();
+      this.output.connect(context.destination);
+    }
+    this.output.gain.value = this.volume;
+    return this.output;
+  }
+
+  /**
+   * Change the volume
+   * @param {number} volume - Volume from 0 to 1
+   */
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    if (this.output) this.output.gain.value = this.volume;
+  }
+
+  /**
+   * Play the sound for a wall or corner hit
+   * @param {HitEventDetail} hit - The hit event details
+   */
+  play(hit) {
+    if (isMuted || !audioContext || audioContext.state !== 'running') return;
+
+    // Pan by where the hit is on screen, the arena may be only part of it
+    const pan = panForPosition(
+      hit.windowPosition.x - window.innerWidth / 2,
+      window.innerWidth
+    );
+    if (hit.corner) {
+      this.fanfare(audioContext, pan);
+      return;
+    }
+
+    const wall = hit.walls[0];
+    if (!wall) return;
+    const { arena } = this.animator;
+    const along =
+      wall === 'left' || wall === 'right'
+        ? hit.position.y / (arena.height / 2)
+        : hit.position.x / (arena.width / 2);
+    this.bonk(audioContext, bonkPitch(this.preset, wall, along), pan);
+  }
+
+  /**
+   * Play a single note with a quick attack and an exponential decay
+   * @param {AudioContext} context - The shared audio context
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} pan - Stereo pan from -1 to 1
+   * @param {number} start - Start time on the context clock
+   * @param {number} length - Length in seconds
+   * @param {number} [drop=1] - Factor the pitch starts above the frequency, gives the bonk its thump
+   */
+  note(context, frequency, pan, start, length, drop = 1) {
+    const oscillator = context.createOscillator();
+    oscillator.type = this.preset.type;
+    oscillator.frequency.setValueAtTime(frequency * drop, start);
+    oscillator.frequency.exponentialRampToValueAtTime(frequency, start + 0.05);
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(1, start + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + length);
+
+    const panner = context.createStereoPanner();
+    panner.pan.value = pan;
+
+    oscillator.connect(envelope).connect(panner).connect(this.getOutput(context));
+    oscillator.start(start);
+    oscillator.stop(start + length);
+  }
+
+  /**
+   * Play a short bonk
+   * @param {AudioContext} context - The shared audio context
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} pan - Stereo pan from -1 to 1
+   */
+  bonk(context, frequency, pan) {
+    this.note(context, frequency, pan, context.currentTime, this.preset.decay, 1.5);
+  }
+
+  /**
+   * Play a rising fanfare
+   * @param {AudioContext} context - The shared audio context
+   * @param {number} pan - Stereo pan from -1 to 1
+   */
+  fanfare(context, pan) {
+    const { fanfare } = this.preset;
+    fanfare.forEach((frequency, index) => {
+      const isLast = index === fanfare.length - 1;
+      this.note(
+        context,
+        frequency,
+        pan,
+        context.currentTime + index * FANFARE_STEP,
+        isLast ? FANFARE_HOLD : FANFARE_STEP * 1.5
+      );
+    });
+  }
+
+  /**
+   * Release audio resources
+   */
+  cleanup() {
+    if (this.output) {
+      this.output.disconnect();
+      this.output = null;
+    }
+  }
+}
+
+export default LogoSounds;
@@ -0,0 +1,43 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { PRESETS, bonkPitch, panForPosition } from './logo-sounds.js';
+
+describe('bonkPitch', () => {
+  test('uses the wall pitch in the middle of the wall', () => {
+    for (const wall of /** @type {const} */ (['top', 'bottom', 'left', 'right'])) {
+      expect(bonkPitch(PRESETS.classic, wall, 0)).toBeCloseTo(
+        PRESETS.classic.wallPitches[wall]
+      );
+    }
+  });
+
+  test('rises towards the right of horizontal walls and the top of side walls', () => {
+    expect(bonkPitch(PRESETS.classic, 'top', 1)).toBeGreaterThan(
+      bonkPitch(PRESETS.classic, 'top', -1)
+    );
+    expect(bonkPitch(PRESETS.classic, 'left', -1)).toBeGreaterThan(
+      bonkPitch(PRESETS.classic, 'left', 1)
+    );
+  });
+
+  test('stays within two semitones of the wall pitch', () => {
+    const base = PRESETS.arcade.wallPitches.right;
+    expect(bonkPitch(PRESETS.arcade, 'right', -5)).toBeCloseTo(
+      base * Math.pow(2, 2 / 12)
+    );
+  });
+});
+
+describe('panForPosition', () => {
+  test('pans with the X position', () => {
+    expect(panForPosition(0, 1000)).toBe(0);
+    expect(panForPosition(-500, 1000)).toBe(-1);
+    expect(panForPosition(250, 1000)).toBe(0.5);
+  });
+
+  test('stays within the stereo range', () => {
+    expect(panForPosition(900, 1000)).toBe(1);
+    expect(panForPosition(100, 0)).toBe(0);
+  });
+});
@@ -0,0 +1,354 @@
+// @ts-check
+
+/**
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ */
+
+/**
+ * @typedef {Object} HitStatsData
+ * @property {number} wallHits - Hits on a single wall
+ * @property {number} cornerHits - Hits on two walls at once
+ * @property {number} uptime - Animated time over all sessions, in milliseconds
+ * @property {number} currentDrought - Animated time since the last corner hit, in milliseconds
+ * @property {number} longestDrought - Longest animated time without a corner hit, in milliseconds
+ * @property {number} lastCornerInterval - Animated time before the last corner hit, in milliseconds
+ * @property {number} cornerIntervalTotal - Sum of the times before every corner hit, in milliseconds
+ */
+
+/**
+ * @typedef {Object} StatsOptions
+ * @property {boolean} [overlay=false] - Show the scoreboard overlay
+ * @property {string} [storageKey] - localStorage key, defaults to one per animator `uniqueId`
+ */
+
+/** Time between two stats updates and saves, in milliseconds */
+const TICK_INTERVAL = 1000;
+
+/**
+ * Format a duration for the scoreboard
+ * @param {number} milliseconds - Duration in milliseconds
+ * @returns {string} For example `1h 02m 03s`
+ */
+export function formatDuration(milliseconds) {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (/** @type {number} */ value) => String(value).padStart(2, '0');
+
+  if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Hit counts and corner-hit droughts of one logo. Times only run while the
+ * logo is animated, so a closed or hidden page does not count as a drought.
+ */
+export class HitStats {
+  /**
+   * @param {Partial<HitStatsData>} [data] - Saved stats to continue from
+   */
+  constructor(data = {}) {
+    /**
+     * Read a saved number, anything else starts from zero
+     * @param {unknown} value - The saved value
+     * @returns {number}
+     */
+    const count = (value) =>
+      typeof value === 'number' && Number.isFinite(value) && value >= 0
+        ? value
+        : 0;
+
+    this.wallHits = count(data.wallHits);
+    this.cornerHits = count(data.cornerHits);
+    this.uptime = count(data.uptime);
+    this.currentDrought = count(data.currentDrought);
+    this.longestDrought = Math.max(
+      count(data.longestDrought),
+      this.currentDrought
+    );
+    this.lastCornerInterval = count(data.lastCornerInterval);
+    this.cornerIntervalTotal = count(data.cornerIntervalTotal);
+  }
+
+  /**
+   * Restore stats saved as JSON, broken data starts from zero
+   * @param {string|null} json - The saved JSON
+   * @returns {HitStats}
+   */
+  static fromJSON(json) {
+    if (!json) return new HitStats();
+    try {
+      const data = JSON.parse(json);
+      return new HitStats(data && typeof data === 'object' ? data : {});
+    } catch {
+      return new HitStats();
+    }
+  }
+
+  /**
+   * Average animated time between two corner hits
+   * @type {number|null}
+   */
+  get averageCornerInterval() {
+    return this.cornerHits > 0
+      ? this.cornerIntervalTotal / this.cornerHits
+      : null;
+  }
+
+  /**
+   * Let animated time pass
+   * @param {number} elapsed - Animated time in milliseconds
+   */
+  advance(elapsed) {
+    if (elapsed <= 0) return;
+    this.uptime += elapsed;
+    this.currentDrought += elapsed;
+    this.longestDrought = Math.max(this.longestDrought, this.currentDrought);
+  }
+
+  /**
+   * Count a hit, a corner hit ends the current drought
+   * @param {'wall'|'corner'} type - What was hit
+   */
+  record(type) {
+    if (type === 'wall') {
+      this.wallHits++;
+      return;
+    }
+
+    this.cornerHits++;
+    this.lastCornerInterval = this.currentDrought;
+    this.cornerIntervalTotal += this.currentDrought;
+    this.currentDrought = 0;
+  }
+
+  /**
+   * Get the stats as plain data for saving
+   * @returns {HitStatsData}
+   */
+  toJSON() {
+    return {
+      wallHits: this.wallHits,
+      cornerHits: this.cornerHits,
+      uptime: this.uptime,
+      currentDrought: this.currentDrought,
+      longestDrought: this.longestDrought,
+      lastCornerInterval: this.lastCornerInterval,
+      cornerIntervalTotal: this.cornerIntervalTotal,
+    };
+  }
+}
+
+/**
+ * Get the scoreboard shared by every logo, created on first use
+ * @returns {HTMLElement}
+ */
+function getOverlay() {
+  let overlay = document.getElementById('stats-overlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'stats-overlay';
+    overlay.setAttribute('role', 'status');
+    document.body.appendChild(overlay);
+  }
+  return overlay;
+}
+
+/**
+ * Records the wall and corner hits of a logo from its hit events, keeps them
+ * in localStorage and shows them on an optional scoreboard overlay
+ */
+class LogoStats {
+  /**
+   * @param {LogoAnimator} animator - The animator whose hits are counted
+   * @param {StatsOptions} options - Stats options
+   */
+  constructor(animator, options = {}) {
+    const {
+      overlay = false,
+      storageKey = `sportmagia:stats:${animator.uniqueId}`,
+    } = options;
+
+    this.animator = animator;
+    this.name = animator.logo.id;
+    this.storageKey = storageKey;
+    this.showOverlay = overlay;
+    this.stats = HitStats.fromJSON(this.load());
+
+    // Time of this page session
+    this.sessionStart = performance.now();
+    // Animator clock at the last update, it stands still while paused and follows the time scale
+    this.lastTime = 0;
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this.tickInterval = null;
+
+    /** @type {HTMLElement|null} */
+    this.row = null;
+    /** @type {HTMLElement|null} */
+    this.summary = null;
+
+    // Bind methods
+    this.tick = this.tick.bind(this);
+    this.save = this.save.bind(this);
+    this.reset = this.reset.bind(this);
+  }
+
+  /**
+   * Start counting time and show the scoreboard
+   */
+  initialize() {
+    this.lastTime = this.animator.time;
+    this.tickInterval = setInterval(this.tick, TICK_INTERVAL);
+    window.addEventListener('pagehide', this.save);
+
+    if (this.showOverlay) this.addRow();
+    this.render();
+  }
+
+  /**
+   * Read the saved stats
+   * @returns {string|null} The saved JSON
+   */
+  load() {
+    try {
+      return window.localStorage.getItem(this.storageKey);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Save the stats, storage can be full or disabled in private browsing
+   */
+  save() {
+    try {
+      window.localStorage.setItem(
+        this.storageKey,
+        JSON.stringify(this.stats)
+      );
+    } catch (error) {
+      if (this.animator.debugger) {
+        this.animator.debugger.log(`Stats not saved: ${error}`, {
+          level: 'warn',
+        });
+      }
+    }
+  }
+
+  /**
+   * Let the animated time since the last update pass, paused time does not count
+   */
+  catchUp() {
+    const now = this.animator.time;
+    this.stats.advance(Math.max(0, now - this.lastTime));
+    this.lastTime = now;
+  }
+
+  /**
+   * Update, save and show the stats
+   */
+  tick() {
+    this.catchUp();
+    this.save();
+    this.render();
+  }
+
+  /**
+   * Count a hit
+   * @param {'wall'|'corner'} type - What was hit
+   */
+  record(type) {
+    // Bring the drought up to date before a corner hit ends it
+    this.catchUp();
+    this.stats.record(type);
+    if (type === 'corner') {
+      this.save();
+      this.render();
+    }
+  }
+
+  /**
+   * Start counting from zero again
+   */
+  reset() {
+    this.stats = new HitStats();
+    this.sessionStart = performance.now();
+    this.lastTime = this.animator.time;
+    this.save();
+    this.render();
+
+    if (this.animator.debugger) {
+      this.animator.debugger.log('Hit statistics reset', {
+        category: 'lifecycle',
+      });
+    }
+  }
+
+  /**
+   * Add this logo's row with a reset button to the scoreboard
+   */
+  addRow() {
+    const row = document.createElement('div');
+    row.className = 'stats-row';
+
+    const title = document.createElement('strong');
+    title.textContent = this.name;
+
+    const summary = document.createElement('span');
+
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.textContent = 'Reset';
+    resetButton.setAttribute('aria-label', `Reset statistics of ${this.name}`);
+    resetButton.addEventListener('click', this.reset);
+
+    row.append(title, summary, resetButton);
+    getOverlay().appendChild(row);
+
+    this.row = row;
+    this.summary = summary;
+  }
+
+  /**
+   * Show the current stats on the scoreboard
+   */
+  render() {
+    if (!this.summary) return;
+
+    const { stats } = this;
+    const average = stats.averageCornerInterval;
+    this.summary.textContent = [
+      `Corners ${stats.cornerHits}`,
+      `Walls ${stats.wallHits}`,
+      `Avg ${average === null ? '–' : formatDuration(average)}`,
+      `Drought ${formatDuration(stats.currentDrought)}`,
+      `Longest ${formatDuration(stats.longestDrought)}`,
+      `Uptime ${formatDuration(stats.uptime)}`,
+      `Session ${formatDuration(performance.now() - this.sessionStart)}`,
+    ].join(' · ');
+  }
+
+  /**
+   * Save one last time and remove the scoreboard row
+   */
+  cleanup() {
+    if (this.tickInterval !== null) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    window.removeEventListener('pagehide', this.save);
+    this.save();
+
+    if (this.row) {
+      const overlay = this.row.parentElement;
+      this.row.remove();
+      if (overlay && overlay.childElementCount === 0) overlay.remove();
+    }
+    this.row = null;
+    this.summary = null;
+  }
+}
+
+export default LogoStats;
@@ -0,0 +1,64 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { HitStats, formatDuration } from './logo-stats.js';
+
+describe('HitStats', () => {
+  test('counts wall and corner hits', () => {
+    const stats = new HitStats();
+    stats.record('wall');
+    stats.record('wall');
+    stats.record('corner');
+
+    expect(stats.wallHits).toBe(2);
+    expect(stats.cornerHits).toBe(1);
+  });
+
+  test('tracks the time between corner hits and the longest drought', () => {
+    const stats = new HitStats();
+    stats.advance(5000);
+    stats.record('corner');
+    stats.advance(20000);
+    stats.record('corner');
+    stats.advance(3000);
+
+    expect(stats.lastCornerInterval).toBe(20000);
+    expect(stats.averageCornerInterval).toBe(12500);
+    expect(stats.currentDrought).toBe(3000);
+    expect(stats.longestDrought).toBe(20000);
+    expect(stats.uptime).toBe(28000);
+  });
+
+  test('has no average before the first corner hit', () => {
+    expect(new HitStats().averageCornerInterval).toBeNull();
+  });
+
+  test('survives a round trip through JSON', () => {
+    const stats = new HitStats();
+    stats.advance(1000);
+    stats.record('wall');
+    stats.record('corner');
+
+    const restored = HitStats.fromJSON(JSON.stringify(stats));
+    expect(restored.toJSON()).toEqual(stats.toJSON());
+  });
+
+  test('starts from zero for broken saved data', () => {
+    expect(HitStats.fromJSON('not json').cornerHits).toBe(0);
+    expect(HitStats.fromJSON('null').cornerHits).toBe(0);
+    expect(HitStats.fromJSON(null).cornerHits).toBe(0);
+
+    const stats = HitStats.fromJSON('{"wallHits":-3,"cornerHits":"7"}');
+    expect(stats.wallHits).toBe(0);
+    expect(stats.cornerHits).toBe(0);
+  });
+});
+
+describe('formatDuration', () => {
+  test('formats seconds, minutes and hours', () => {
+    expect(formatDuration(4500)).toBe('4s');
+    expect(formatDuration(65000)).toBe('1m 05s');
+    expect(formatDuration(3723000)).toBe('1h 02m 03s');
+    expect(formatDuration(-10)).toBe('0s');
+  });
+});
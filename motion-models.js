@@ -0,0 +1,297 @@
+// @ts-check
+
+import { normalizeAngle } from './bounce-engine.js';
+
+/**
+ * @typedef {import('./bounce-engine.js').default} BounceEngine
+ * @typedef {import('./bounce-engine.js').CollisionEvent} CollisionEvent
+ * @typedef {import('./bounce-engine.js').Wall} Wall
+ */
+
+/**
+ * @typedef {'linear'|'gravity'|'friction'|'spin'} MotionModelName
+ */
+
+/**
+ * @typedef {Object} SpinOptions
+ * @property {number} [spin=0] - Spin picked up per pixel per second of sliding speed at a hit, in radians per second, 0.01 for the `spin` model
+ * @property {number} [spinDecay=0.8] - Share of the spin lost per second
+ */
+
+/**
+ * @typedef {Object} GravityOptions
+ * @property {number} [gravity=1500] - Downward acceleration in pixels per second squared
+ * @property {number} [restitution=0.8] - Share of the speed into a wall kept after the hit, 1 is perfectly elastic
+ * @property {number} [relaunchHeight=0.15] - Bounce height, as a share of the free arena height, below which the ball is launched to full height again
+ */
+
+/**
+ * @typedef {Object} FrictionOptions
+ * @property {number} [friction=0.4] - Share of the speed lost per second
+ * @property {number} [nudgeBelow=0.4] - Share of the configured speed below which the puck is nudged
+ * @property {number} [nudgeRate=0.5] - Share of the configured speed gained per second while nudged
+ */
+
+/**
+ * @typedef {SpinOptions & GravityOptions & FrictionOptions} MotionModelOptions
+ */
+
+/** Share of the free arena height a relaunched ball rises to, just short of the ceiling */
+const RELAUNCH_RISE = 0.9;
+
+/** Outward normal of the side of the logo touching each wall */
+const WALL_NORMALS = /** @type {Record<Wall, {x: number, y: number}>} */ ({
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  top: { x: 0, y: -1 },
+  bottom: { x: 0, y: 1 },
+});
+
+/**
+ * Get the velocity of the engine
+ * @param {BounceEngine} engine - The engine
+ * @returns {{x: number, y: number}} Velocity in pixels per second
+ */
+function getVelocity(engine) {
+  return {
+    x: Math.cos(engine.angle) * engine.speed,
+    y: Math.sin(engine.angle) * engine.speed,
+  };
+}
+
+/**
+ * Set the velocity of the engine, the angle is kept when it stops
+ * @param {BounceEngine} engine - The engine
+ * @param {number} x - X velocity in pixels per second
+ * @param {number} y - Y velocity in pixels per second
+ */
+function setVelocity(engine, x, y) {
+  engine.speed = Math.hypot(x, y);
+  if (engine.speed > 0) engine.angle = normalizeAngle(Math.atan2(y, x));
+}
+
+/**
+ * Straight lines at constant speed with perfect reflection, the way the
+ * logo always moved. Optionally spins after angled hits. Subclasses change
+ * the velocity between hits or at a hit.
+ */
+export class MotionModel {
+  /**
+   * @param {SpinOptions} [options] - Spin options
+   */
+  constructor(options = {}) {
+    const { spin = 0, spinDecay = 0.8 } = options;
+
+    this.spin = spin;
+    this.spinDecay = spinDecay;
+
+    // Rotation of the logo in radians and its speed in radians per second
+    this.rotation = 0;
+    this.angularVelocity = 0;
+  }
+
+  /**
+   * Whether the logo moves in straight lines between hits, so paths can be predicted
+   * @returns {boolean}
+   */
+  get isStraight() {
+    return true;
+  }
+
+  /**
+   * Remember the launch velocity
+   * @param {BounceEngine} engine - The engine
+   */
+  start(engine) {}
+
+  /**
+   * Change the velocity between hits
+   * @param {BounceEngine} engine - The engine
+   * @param {number} dt - Elapsed time in seconds
+   * @param {number} baseSpeed - Configured speed in pixels per second
+   */
+  accelerate(engine, dt, baseSpeed) {}
+
+  /**
+   * React to a hit after the engine reflected the logo
+   * @param {BounceEngine} engine - The engine
+   * @param {CollisionEvent} collision - The hit
+   * @param {{x: number, y: number}} velocity - Velocity before the hit
+   */
+  collide(engine, collision, velocity) {
+    // Sliding along the wall makes the logo turn, like a ball with friction
+    for (const wall of collision.walls) {
+      const normal = WALL_NORMALS[wall];
+      this.angularVelocity -=
+        this.spin * (normal.x * velocity.y - normal.y * velocity.x);
+    }
+  }
+
+  /**
+   * Move the logo and resolve its hits
+   * @param {BounceEngine} engine - The engine
+   * @param {number} dt - Elapsed time in seconds
+   * @param {number} baseSpeed - Configured speed in pixels per second
+   * @returns {CollisionEvent[]} Hits during this step
+   */
+  advance(engine, dt, baseSpeed) {
+    this.accelerate(engine, dt, baseSpeed);
+
+    const velocity = getVelocity(engine);
+    const collisions = engine.step(dt);
+    for (const collision of collisions) {
+      this.collide(engine, collision, velocity);
+    }
+
+    this.rotation += this.angularVelocity * dt;
+    this.angularVelocity *= Math.exp(-this.spinDecay * dt);
+
+    // The walls see the logo turned the way it is drawn
+    engine.setRotation(this.rotation);
+
+    return collisions;
+  }
+}
+
+/**
+ * A ball falling under gravity that loses speed at every hit. Once its
+ * bounces get too low it is launched again, so it never comes to rest.
+ */
+export class GravityModel extends MotionModel {
+  /**
+   * @param {GravityOptions & SpinOptions} [options] - Gravity options
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const { gravity = 1500, restitution = 0.8, relaunchHeight = 0.15 } = options;
+
+    if (!(gravity > 0)) {
+      throw new Error(`Gravity must be a positive number, got ${gravity}`);
+    }
+    if (!(restitution > 0 && restitution <= 1)) {
+      throw new Error(`Restitution must be in (0, 1], got ${restitution}`);
+    }
+
+    this.gravity = gravity;
+    this.restitution = restitution;
+    this.relaunchHeight = relaunchHeight;
+    this.launchSpeedX = 0;
+  }
+
+  get isStraight() {
+    return false;
+  }
+
+  /**
+   * @param {BounceEngine} engine - The engine
+   */
+  start(engine) {
+    this.launchSpeedX = Math.abs(getVelocity(engine).x);
+  }
+
+  /**
+   * @param {BounceEngine} engine - The engine
+   * @param {number} dt - Elapsed time in seconds
+   * @param {number} baseSpeed - Configured speed in pixels per second
+   */
+  accelerate(engine, dt, baseSpeed) {
+    const velocity = getVelocity(engine);
+    setVelocity(engine, velocity.x, velocity.y + this.gravity * dt);
+  }
+
+  /**
+   * @param {BounceEngine} engine - The engine
+   * @param {CollisionEvent} collision - The hit
+   * @param {{x: number, y: number}} velocity - Velocity before the hit
+   */
+  collide(engine, collision, velocity) {
+    super.collide(engine, collision, velocity);
+
+    let { x, y } = getVelocity(engine);
+    const isSide = collision.walls.some(
+      (wall) => wall === 'left' || wall === 'right'
+    );
+    const isFloor = collision.walls.includes('bottom');
+    if (isSide) x *= this.restitution;
+    if (isFloor || collision.walls.includes('top')) y *= this.restitution;
+
+    // Speed needed to rise a height is √(2gh)
+    const { minY, maxY } = engine.getBounds();
+    const freeHeight = Math.max(0, maxY - minY);
+    if (isFloor && y * y < 2 * this.gravity * freeHeight * this.relaunchHeight) {
+      y = -Math.sqrt(2 * this.gravity * freeHeight * RELAUNCH_RISE);
+      x = Math.sign(x || 1) * this.launchSpeedX;
+    }
+
+    setVelocity(engine, x, y);
+  }
+}
+
+/**
+ * A puck sliding with friction. When it gets too slow it is nudged back up
+ * to the configured speed.
+ */
+export class FrictionModel extends MotionModel {
+  /**
+   * @param {FrictionOptions & SpinOptions} [options] - Friction options
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const { friction = 0.4, nudgeBelow = 0.4, nudgeRate = 0.5 } = options;
+
+    if (!(friction >= 0)) {
+      throw new Error(`Friction must not be negative, got ${friction}`);
+    }
+
+    this.friction = friction;
+    this.nudgeBelow = nudgeBelow;
+    this.nudgeRate = nudgeRate;
+    this.isNudging = false;
+  }
+
+  get isStraight() {
+    return false;
+  }
+
+  /**
+   * @param {BounceEngine} engine - The engine
+   * @param {number} dt - Elapsed time in seconds
+   * @param {number} baseSpeed - Configured speed in pixels per second
+   */
+  accelerate(engine, dt, baseSpeed) {
+    if (this.isNudging) {
+      engine.speed = Math.min(
+        baseSpeed,
+        engine.speed + this.nudgeRate * baseSpeed * dt
+      );
+      if (engine.speed >= baseSpeed) this.isNudging = false;
+      return;
+    }
+
+    engine.speed *= Math.exp(-this.friction * dt);
+    if (engine.speed < this.nudgeBelow * baseSpeed) this.isNudging = true;
+  }
+}
+
+/**
+ * Create the motion model for an animator option
+ * @param {MotionModelName} name - The model
+ * @param {MotionModelOptions} [options] - Options of the model
+ * @returns {MotionModel}
+ */
+export function createMotionModel(name, options = {}) {
+  switch (name) {
+    case 'linear':
+      return new MotionModel(options);
+    case 'gravity':
+      return new GravityModel(options);
+    case 'friction':
+      return new FrictionModel(options);
+    case 'spin':
+      return new MotionModel({ spin: 0.01, ...options });
+    default:
+      throw new Error(`Unknown motion model "${name}"`);
+  }
+}
@@ -0,0 +1,167 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import BounceEngine from './bounce-engine.js';
+import {
+  FrictionModel,
+  GravityModel,
+  MotionModel,
+  createMotionModel,
+} from './motion-models.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Create an 800x600 arena with a 100x50 logo, so the center moves in [-350, 350] × [-275, 275]
+ * @param {Object} [options] - Overrides for the engine options
+ * @returns {BounceEngine}
+ */
+function createEngine(options = {}) {
+  return new BounceEngine({
+    width: 800,
+    height: 600,
+    logoWidth: 100,
+    logoHeight: 50,
+    speed: 100,
+    ...options,
+  });
+}
+
+/**
+ * Run a model for a while in 1/120 s steps
+ * @param {MotionModel} model - The model
+ * @param {BounceEngine} engine - The engine
+ * @param {number} seconds - Time to run
+ * @param {number} [baseSpeed=100] - Configured speed
+ * @returns {import('./bounce-engine.js').CollisionEvent[]} Every hit
+ */
+function run(model, engine, seconds, baseSpeed = 100) {
+  const collisions = [];
+  for (let i = 0; i < seconds * 120; i++) {
+    collisions.push(...model.advance(engine, 1 / 120, baseSpeed));
+  }
+  return collisions;
+}
+
+describe('MotionModel', () => {
+  test('moves in straight lines at constant speed', () => {
+    const engine = createEngine({ angle: 30 * DEG });
+    run(new MotionModel(), engine, 1);
+
+    expect(engine.x).toBeCloseTo(100 * Math.cos(30 * DEG));
+    expect(engine.y).toBeCloseTo(50);
+    expect(engine.speed).toBe(100);
+  });
+
+  test('only spins when spin is enabled', () => {
+    const still = new MotionModel();
+    const spinning = new MotionModel({ spin: 0.01 });
+    run(still, createEngine({ x: 340, angle: 30 * DEG }), 0.5);
+    run(spinning, createEngine({ x: 340, angle: 30 * DEG }), 0.5);
+
+    expect(still.rotation).toBe(0);
+    expect(spinning.rotation).not.toBe(0);
+  });
+
+  test('turns the outline the engine collides with', () => {
+    const model = new MotionModel({ spin: 0.01 });
+    const engine = createEngine({ x: 340, angle: 30 * DEG });
+    run(model, engine, 0.5);
+
+    expect(engine.rotation).toBe(model.rotation);
+  });
+
+  test('spins the other way for the opposite slide', () => {
+    const down = new MotionModel({ spin: 0.01 });
+    const up = new MotionModel({ spin: 0.01 });
+    run(down, createEngine({ x: 340, angle: 30 * DEG }), 0.5);
+    run(up, createEngine({ x: 340, angle: -30 * DEG }), 0.5);
+
+    expect(Math.sign(down.rotation)).toBe(-Math.sign(up.rotation));
+  });
+
+  test('does not spin after a straight hit', () => {
+    const model = new MotionModel({ spin: 0.01 });
+    run(model, createEngine({ x: 340 }), 0.5);
+
+    expect(model.rotation).toBeCloseTo(0);
+  });
+});
+
+describe('GravityModel', () => {
+  test('accelerates downwards', () => {
+    const engine = createEngine({ speed: 0 });
+    run(new GravityModel({ gravity: 1000 }), engine, 0.5);
+
+    expect(engine.speed).toBeCloseTo(500);
+    expect(engine.angle).toBeCloseTo(90 * DEG);
+    // ½gt², give or take the integration step
+    expect(engine.y).toBeCloseTo(125, -1);
+  });
+
+  test('loses speed on the floor with restitution', () => {
+    const engine = createEngine({ y: 270, angle: 90 * DEG, speed: 1000 });
+    const model = new GravityModel({ restitution: 0.5, relaunchHeight: 0 });
+    const [hit] = model.advance(engine, 1 / 120, 100);
+
+    expect(hit?.walls).toEqual(['bottom']);
+    expect(engine.angle).toBeCloseTo(270 * DEG);
+    expect(engine.speed).toBeCloseTo((1000 + 1500 / 120) * 0.5, 0);
+  });
+
+  test('never comes to rest', () => {
+    const engine = createEngine({ angle: 10 * DEG, speed: 200 });
+    const model = new GravityModel({ restitution: 0.5 });
+    model.start(engine);
+    run(model, engine, 30);
+
+    const hits = run(model, engine, 5);
+    expect(hits.filter((hit) => hit.walls.includes('bottom')).length).toBeGreaterThan(0);
+    expect(engine.speed).toBeGreaterThan(0);
+  });
+
+  test('rejects invalid settings', () => {
+    expect(() => new GravityModel({ gravity: 0 })).toThrow();
+    expect(() => new GravityModel({ restitution: 1.5 })).toThrow();
+  });
+});
+
+describe('FrictionModel', () => {
+  test('slows down', () => {
+    const engine = createEngine();
+    run(new FrictionModel({ friction: 0.5 }), engine, 1);
+
+    expect(engine.speed).toBeCloseTo(100 * Math.exp(-0.5), 0);
+  });
+
+  test('is nudged back up to speed once it gets too slow', () => {
+    const engine = createEngine();
+    const model = new FrictionModel({ friction: 1, nudgeBelow: 0.5, nudgeRate: 1 });
+    run(model, engine, 0.8);
+
+    expect(model.isNudging).toBe(true);
+
+    let fastest = 0;
+    for (let i = 0; i < 120 && model.isNudging; i++) {
+      model.advance(engine, 1 / 120, 100);
+      fastest = Math.max(fastest, engine.speed);
+    }
+    expect(model.isNudging).toBe(false);
+    expect(fastest).toBeCloseTo(100);
+  });
+});
+
+describe('createMotionModel', () => {
+  test('creates every model', () => {
+    expect(createMotionModel('linear')).toBeInstanceOf(MotionModel);
+    expect(createMotionModel('gravity')).toBeInstanceOf(GravityModel);
+    expect(createMotionModel('friction')).toBeInstanceOf(FrictionModel);
+    expect(createMotionModel('spin').spin).toBeGreaterThan(0);
+  });
+
+  test('rejects unknown models', () => {
+    expect(() =>
+      createMotionModel(/** @type {any} */ ('teleport'))
+    ).toThrow('Unknown motion model "teleport"');
+  });
+});
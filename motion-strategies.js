@@ -0,0 +1,314 @@
+// @ts-check
+
+/**
+ * @typedef {import('./bounce-engine.js').CollisionEvent} CollisionEvent
+ * @typedef {import('./logo-animator.js').default} LogoAnimator
+ * @typedef {import('./motion-models.js').MotionModel} MotionModel
+ */
+
+/** Maximum collisions handled in a single frame, guards against endless loops */
+const MAX_COLLISIONS_PER_FRAME = 8;
+
+/** Longest simulation step of a motion model, so fast logos do not skip obstacles, in seconds */
+const MAX_MODEL_STEP = 1 / 120;
+
+/**
+ * Moves the logo with the `move-to-target` CSS keyframe animation and reads
+ * its position back from the computed style on every frame
+ */
+export class CssVariablesMotion {
+  /**
+   * @param {LogoAnimator} animator - The animator that owns this strategy
+   */
+  constructor(animator) {
+    this.animator = animator;
+  }
+
+  /**
+   * Start moving from the current engine state
+   * @param {number} timestamp - Current timestamp in milliseconds
+   */
+  start(timestamp) {
+    this.restart(timestamp);
+  }
+
+  /**
+   * Restart the animation after the angle, speed or bounds changed
+   * @param {number} timestamp - Current timestamp in milliseconds
+   */
+  restart(timestamp) {
+    this.animator.updateCSSVariables();
+  }
+
+  /**
+   * Freeze the keyframe animation where it is
+   */
+  pause() {
+    this.animator.logo.classList.add('paused');
+  }
+
+  /**
+   * Let the keyframe animation run again
+   */
+  resume() {
+    this.animator.logo.classList.remove('paused');
+  }
+
+  /**
+   * Move the keyframe animation forward while it is paused
+   * @param {number} milliseconds - Animation time to skip
+   */
+  seek(milliseconds) {
+    for (const animation of this.animator.logo.getAnimations()) {
+      animation.currentTime = Number(animation.currentTime ?? 0) + milliseconds;
+    }
+  }
+
+  /**
+   * Copy the animated position from the computed style to the engine
+   */
+  readPosition() {
+    const { animator } = this;
+
+    // Get current position from computed style and convert to normalized coordinates
+    const computedStyle = window.getComputedStyle(animator.logo);
+    const { box } = animator.arena;
+    const left = parseFloat(computedStyle.left) || box.centerX;
+    const top = parseFloat(computedStyle.top) || box.centerY;
+    const normalized = animator.arena.fromLayout(left, top);
+
+    animator.currentX = normalized.x;
+    animator.currentY = normalized.y;
+  }
+
+  /**
+   * Read the animated position and resolve collisions at it
+   * @param {number} timestamp - Current frame timestamp
+   * @returns {CollisionEvent[]} Collisions detected in this frame
+   */
+  update(timestamp) {
+    const { animator } = this;
+
+    this.readPosition();
+
+    // Resolve wall collisions at the measured position
+    animator.syncEngineBounds();
+    const collisions = animator.engine.step(0);
+
+    if (collisions.length > 0) {
+      animator.updateCSSVariables();
+    }
+
+    return collisions;
+  }
+}
+
+/**
+ * Computes the position analytically from the elapsed time and applies it
+ * with `transform: translate3d`, so no layout is read or animated per frame.
+ * Wall hits are predicted when a straight segment starts. Timestamps come from
+ * the animator clock, so pausing and time scaling need nothing extra here.
+ */
+export class TransformMotion {
+  /**
+   * @param {LogoAnimator} animator - The animator that owns this strategy
+   */
+  constructor(animator) {
+    this.animator = animator;
+
+    // Current straight segment
+    this.segmentStart = 0;
+    this.startX = 0;
+    this.startY = 0;
+    this.collisionTime = Infinity;
+  }
+
+  /**
+   * Start moving from the current engine state
+   * @param {number} timestamp - Current timestamp in milliseconds
+   */
+  start(timestamp) {
+    const { logo } = this.animator;
+    logo.classList.remove('animate');
+    logo.classList.add('transform-motion');
+    this.restart(timestamp);
+    this.apply();
+  }
+
+  /**
+   * Start a new segment from the current position after the angle, speed or bounds changed
+   * @param {number} timestamp - Current timestamp in milliseconds
+   */
+  restart(timestamp) {
+    const { engine } = this.animator;
+    this.animator.syncEngineBounds();
+
+    this.segmentStart = timestamp;
+    this.startX = engine.x;
+    this.startY = engine.y;
+    this.collisionTime = engine.timeToCollision();
+  }
+
+  /**
+   * Nothing to freeze, the animator clock stops
+   */
+  pause() {}
+
+  /**
+   * Nothing to restart, the animator clock runs again
+   */
+  resume() {}
+
+  /**
+   * Nothing to skip, the animator clock is moved forward
+   * @param {number} milliseconds - Animation time to skip
+   */
+  seek(milliseconds) {}
+
+  /**
+   * Move the engine along the current segment
+   * @param {number} elapsed - Seconds since the segment started
+   */
+  moveAlongSegment(elapsed) {
+    const { engine } = this.animator;
+    const distance = engine.speed * Math.max(0, elapsed);
+    engine.setPosition(
+      this.startX + Math.cos(engine.angle) * distance,
+      this.startY + Math.sin(engine.angle) * distance
+    );
+  }
+
+  /**
+   * Compute the position for this frame and handle predicted collisions
+   * @param {number} timestamp - Current frame timestamp
+   * @returns {CollisionEvent[]} Collisions that happened since the last frame
+   */
+  update(timestamp) {
+    const { animator } = this;
+    /** @type {CollisionEvent[]} */
+    const collisions = [];
+
+    // The logo was resized, plan again from where it is now
+    if (!animator.logoDimensions) {
+      this.moveAlongSegment((timestamp - this.segmentStart) / 1000);
+      this.restart(timestamp);
+    }
+
+    // Handle every collision predicted to happen before this frame
+    for (
+      let i = 0;
+      i < MAX_COLLISIONS_PER_FRAME &&
+      (timestamp - this.segmentStart) / 1000 >= this.collisionTime;
+      i++
+    ) {
+      this.moveAlongSegment(this.collisionTime);
+      collisions.push(...animator.engine.step(0));
+      this.restart(this.segmentStart + this.collisionTime * 1000);
+    }
+
+    // Past the cap the rest of the frame would cross the next wall, wait there instead
+    this.moveAlongSegment(
+      Math.min((timestamp - this.segmentStart) / 1000, this.collisionTime)
+    );
+    this.apply();
+
+    return collisions;
+  }
+
+  /**
+   * Pass the current position to the renderer
+   */
+  apply() {
+    const { animator } = this;
+    animator.renderer.setPosition(animator.currentX, animator.currentY);
+  }
+}
+
+/**
+ * Integrates a motion model frame by frame, for paths that are not straight
+ * lines, such as a ball under gravity. Timestamps come from the animator
+ * clock, like for `TransformMotion`.
+ */
+export class ModelMotion {
+  /**
+   * @param {LogoAnimator} animator - The animator that owns this strategy
+   * @param {MotionModel} model - Changes the velocity and rotation of the logo
+   */
+  constructor(animator, model) {
+    this.animator = animator;
+    this.model = model;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Start moving from the current engine state
+   * @param {number} timestamp - Current timestamp in milliseconds
+   */
+  start(timestamp) {
+    const { logo, engine } = this.animator;
+    logo.classList.remove('animate');
+    logo.classList.add('transform-motion');
+    this.model.start(engine);
+    this.restart(timestamp);
+    this.apply();
+  }
+
+  /**
+   * Continue from the current position after the angle, speed or bounds changed
+   * @param {number} timestamp - Current timestamp in milliseconds
+   */
+  restart(timestamp) {
+    this.animator.syncEngineBounds();
+    this.lastTime = timestamp;
+  }
+
+  /**
+   * Nothing to freeze, the animator clock stops
+   */
+  pause() {}
+
+  /**
+   * Nothing to restart, the animator clock runs again
+   */
+  resume() {}
+
+  /**
+   * Nothing to skip, the animator clock is moved forward
+   * @param {number} milliseconds - Animation time to skip
+   */
+  seek(milliseconds) {}
+
+  /**
+   * Advance the model to this frame in small steps
+   * @param {number} timestamp - Current frame timestamp
+   * @returns {CollisionEvent[]} Collisions that happened since the last frame
+   */
+  update(timestamp) {
+    const { animator, model } = this;
+    /** @type {CollisionEvent[]} */
+    const collisions = [];
+
+    animator.syncEngineBounds();
+    const baseSpeed = animator.calculateSpeedFromDuration();
+
+    let remaining = Math.max(0, (timestamp - this.lastTime) / 1000);
+    this.lastTime = timestamp;
+    while (remaining > 0 && collisions.length < MAX_COLLISIONS_PER_FRAME) {
+      const dt = Math.min(remaining, MAX_MODEL_STEP);
+      collisions.push(...model.advance(animator.engine, dt, baseSpeed));
+      remaining -= dt;
+    }
+
+    this.apply();
+    return collisions;
+  }
+
+  /**
+   * Pass the current position and rotation to the renderer
+   */
+  apply() {
+    const { animator } = this;
+    animator.renderer.setRotation(this.model.rotation);
+    animator.renderer.setPosition(animator.currentX, animator.currentY);
+  }
+}
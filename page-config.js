@@ -0,0 +1,137 @@
+// @ts-check
+
+/**
+ * @typedef {Object} PageConfig
+ * @property {number} count - Number of logos
+ * @property {number} angle - Angle of the first logo in degrees
+ * @property {number} duration - Traversal duration of the first logo in seconds
+ * @property {boolean} debug - Enable the debugger on the first logo
+ * @property {string} logo - SVG file of the logos
+ * @property {string} bg - Page background color
+ * @property {number} idle - Seconds without input before the screensaver starts, 0 turns it off
+ */
+
+/**
+ * @typedef {Object} ConfigField
+ * @property {'integer'|'number'|'boolean'|'string'} type - Value type
+ * @property {number} [min] - Smallest allowed number
+ * @property {number} [max] - Largest allowed number
+ * @property {RegExp} [pattern] - Pattern a string must match
+ * @property {string|number|boolean} default - Value used when the parameter is missing or invalid
+ */
+
+/**
+ * @typedef {Object} ParsedConfig
+ * @property {PageConfig} config - The validated configuration
+ * @property {string[]} errors - Why parameters were rejected
+ * @property {Array<keyof PageConfig>} explicit - Parameters the URL sets to a valid value
+ */
+
+/** Parameters the page understands, anything else in the URL is ignored */
+export const CONFIG_SCHEMA = /** @type {Record<keyof PageConfig, ConfigField>} */ ({
+  count: { type: 'integer', min: 1, max: 12, default: 2 },
+  angle: { type: 'number', min: -360, max: 360, default: -40 },
+  duration: { type: 'number', min: 1, max: 60, default: 8 },
+  debug: { type: 'boolean', default: false },
+  // Only SVG files next to the page, never another origin
+  logo: {
+    type: 'string',
+    pattern: /^[\w-]+\.svg$/,
+    default: 'LOGO-SPORTMAGIA2.svg',
+  },
+  bg: {
+    type: 'string',
+    pattern: /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i,
+    default: '#000000',
+  },
+  idle: { type: 'integer', min: 0, max: 86400, default: 0 },
+});
+
+const TRUE_VALUES = ['', '1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+/**
+ * Validate one parameter against its schema field
+ * @param {string} name - Parameter name
+ * @param {string} raw - Parameter value from the URL
+ * @param {ConfigField} field - Schema field
+ * @returns {{value: string|number|boolean}|{error: string}}
+ */
+function parseField(name, raw, field) {
+  const value = raw.trim();
+
+  switch (field.type) {
+    case 'boolean': {
+      const lower = value.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return { error: `${name} must be 1 or 0, got "${raw}"` };
+    }
+
+    case 'integer':
+    case 'number': {
+      const number = value === '' ? NaN : Number(value);
+      if (!Number.isFinite(number)) {
+        return { error: `${name} must be a number, got "${raw}"` };
+      }
+      if (field.type === 'integer' && !Number.isInteger(number)) {
+        return { error: `${name} must be a whole number, got "${raw}"` };
+      }
+      if (
+        (field.min !== undefined && number < field.min) ||
+        (field.max !== undefined && number > field.max)
+      ) {
+        return {
+          error: `${name} must be between ${field.min} and ${field.max}, got ${number}`,
+        };
+      }
+      return { value: number };
+    }
+
+    default: {
+      if (field.pattern && !field.pattern.test(value)) {
+        return { error: `${name} has an invalid value "${raw}"` };
+      }
+      return { value };
+    }
+  }
+}
+
+/**
+ * Read the page configuration from the query string and the hash, the hash
+ * wins when both set a parameter. Invalid values fall back to the defaults.
+ * @param {string} search - The query string, like `location.search`
+ * @param {string} hash - The hash, like `location.hash`
+ * @param {Partial<PageConfig>} [defaults] - Defaults that depend on the environment
+ * @returns {ParsedConfig}
+ */
+export function parseConfig(search, hash, defaults = {}) {
+  const params = new URLSearchParams(search);
+  for (const [name, value] of new URLSearchParams(hash.replace(/^#/, ''))) {
+    params.set(name, value);
+  }
+
+  /** @type {Record<string, string|number|boolean>} */
+  const config = {};
+  /** @type {string[]} */
+  const errors = [];
+  /** @type {Array<keyof PageConfig>} */
+  const explicit = [];
+
+  for (const [name, field] of Object.entries(CONFIG_SCHEMA)) {
+    config[name] = defaults[/** @type {keyof PageConfig} */ (name)] ?? field.default;
+
+    const raw = params.get(name);
+    if (raw === null) continue;
+
+    const result = parseField(name, raw, field);
+    if ('error' in result) {
+      errors.push(result.error);
+    } else {
+      config[name] = result.value;
+      explicit.push(/** @type {keyof PageConfig} */ (name));
+    }
+  }
+
+  return { config: /** @type {PageConfig} */ (config), errors, explicit };
+}
@@ -0,0 +1,88 @@
+// @ts-check
+
+import { describe, expect, test } from 'bun:test';
+import { parseConfig } from './page-config.js';
+
+describe('parseConfig', () => {
+  test('uses the defaults without parameters', () => {
+    const { config, errors } = parseConfig('', '');
+
+    expect(config).toEqual({
+      count: 2,
+      angle: -40,
+      duration: 8,
+      debug: false,
+      logo: 'LOGO-SPORTMAGIA2.svg',
+      bg: '#000000',
+      idle: 0,
+    });
+    expect(errors).toEqual([]);
+  });
+
+  test('reads every parameter from the query string', () => {
+    const { config, errors } = parseConfig(
+      '?count=3&angle=-40.5&duration=8&debug=1&logo=LOGO-SPORTMAGIA.svg&bg=%23112233&idle=300',
+      ''
+    );
+
+    expect(config).toEqual({
+      count: 3,
+      angle: -40.5,
+      duration: 8,
+      debug: true,
+      logo: 'LOGO-SPORTMAGIA.svg',
+      bg: '#112233',
+      idle: 300,
+    });
+    expect(errors).toEqual([]);
+  });
+
+  test('lets the hash override the query string', () => {
+    const { config } = parseConfig('?count=3&angle=10', '#angle=20&debug');
+
+    expect(config.count).toBe(3);
+    expect(config.angle).toBe(20);
+    expect(config.debug).toBe(true);
+  });
+
+  test('lists the parameters the URL sets', () => {
+    expect(parseConfig('?angle=10&count=abc', '#duration=5').explicit).toEqual([
+      'angle',
+      'duration',
+    ]);
+    expect(parseConfig('', '', { debug: true }).explicit).toEqual([]);
+  });
+
+  test('prefers environment defaults over schema defaults', () => {
+    expect(parseConfig('', '', { debug: true }).config.debug).toBe(true);
+    expect(parseConfig('?debug=0', '', { debug: true }).config.debug).toBe(false);
+  });
+
+  test('rejects invalid values and keeps the defaults', () => {
+    const { config, errors } = parseConfig(
+      '?count=2.5&angle=abc&duration=500&debug=maybe&bg=red',
+      ''
+    );
+
+    const defaults = parseConfig('', '').config;
+    expect(config).toEqual(defaults);
+    expect(errors).toHaveLength(5);
+  });
+
+  test('only accepts local SVG files as logo', () => {
+    for (const logo of [
+      'https://example.com/evil.svg',
+      '../secret.svg',
+      'logo.png',
+      'javascript:alert(1)',
+    ]) {
+      const { config, errors } = parseConfig(`?logo=${encodeURIComponent(logo)}`, '');
+      expect(config.logo).toBe('LOGO-SPORTMAGIA2.svg');
+      expect(errors).toHaveLength(1);
+    }
+  });
+
+  test('ignores parameters it does not know', () => {
+    expect(parseConfig('?utm_source=mail', '').errors).toEqual([]);
+  });
+});
@@ -0,0 +1,406 @@
+// @ts-check
+
+/**
+ * @typedef {import('./logo-arena.js').default} LogoArena
+ */
+
+/**
+ * @typedef {Object} GlowLayer
+ * @property {number} blur - Blur radius in CSS pixels
+ * @property {string} color - Shadow color
+ */
+
+/** Canvas version of the `.logo.glow` drop-shadow filter */
+const GLOW_LAYERS = /** @type {GlowLayer[]} */ ([
+  { blur: 15, color: 'rgba(255, 215, 0, 0.9)' },
+  { blur: 25, color: 'rgba(255, 140, 0, 0.6)' },
+  { blur: 35, color: 'rgba(255, 69, 0, 0.4)' },
+]);
+
+/** Softer glow for reduced motion, mirrors `.logo.glow.subtle-glow` */
+const SUBTLE_GLOW_LAYERS = /** @type {GlowLayer[]} */ ([
+  { blur: 8, color: 'rgba(255, 215, 0, 0.5)' },
+]);
+
+/** Room around the glowing sprite so the largest shadow is not cut off */
+const GLOW_PADDING = 70;
+
+/**
+ * Draws the logo through its own `<img>` element, positioned by CSS
+ */
+export class DomRenderer {
+  /**
+   * @param {HTMLElement} logo - The logo element
+   */
+  constructor(logo) {
+    this.logo = logo;
+    this.isGlowing = false;
+    this.isSubtleGlow = false;
+    this.rotation = 0;
+  }
+
+  /**
+   * Get the rendered logo size
+   * @returns {{width: number, height: number}} Size in CSS pixels
+   */
+  measure() {
+    const logoRect = this.logo.getBoundingClientRect();
+    return { width: logoRect.width, height: logoRect.height };
+  }
+
+  /**
+   * Get the rendered logo center
+   * @returns {{x: number, y: number}} Center in window coordinates
+   */
+  getCenter() {
+    const logoRect = this.logo.getBoundingClientRect();
+    return {
+      x: logoRect.left + logoRect.width / 2,
+      y: logoRect.top + logoRect.height / 2,
+    };
+  }
+
+  /**
+   * Move the logo with a compositor-friendly transform
+   * @param {number} x - Normalized X position
+   * @param {number} y - Normalized Y position
+   */
+  setPosition(x, y) {
+    const rotate = this.rotation ? ` rotate(${this.rotation}rad)` : '';
+    this.logo.style.transform =
+      `translate3d(${x}px, ${y}px, 0) translate(-50%, -50%)` + rotate;
+  }
+
+  /**
+   * Rotate the logo around its center from the next position on
+   * @param {number} radians - Rotation, clockwise
+   */
+  setRotation(radians) {
+    this.rotation = radians;
+  }
+
+  /**
+   * Turn the glow effect on or off
+   * @param {boolean} isGlowing - Whether the logo glows
+   */
+  setGlow(isGlowing) {
+    this.isGlowing = isGlowing;
+    this.logo.classList.toggle('glow', isGlowing);
+  }
+
+  /**
+   * Use a softer, slower glow
+   * @param {boolean} isSubtle - Whether the glow is subtle
+   */
+  setSubtleGlow(isSubtle) {
+    this.isSubtleGlow = isSubtle;
+    this.logo.classList.toggle('subtle-glow', isSubtle);
+  }
+
+  /**
+   * Fade the logo in or out
+   * @param {number} opacity - Opacity from 0 to 1
+   */
+  setOpacity(opacity) {
+    this.logo.style.opacity = opacity >= 1 ? '' : String(opacity);
+  }
+
+  /**
+   * Draw the current frame, the browser already does this for DOM elements
+   * @param {number} timestamp - Current frame timestamp
+   */
+  render(timestamp) {}
+
+  /**
+   * Release renderer resources
+   */
+  destroy() {
+    this.setGlow(false);
+    this.setSubtleGlow(false);
+    this.setOpacity(1);
+  }
+}
+
+/**
+ * A canvas shared by every logo drawn on it, cleared once per frame
+ */
+class CanvasSurface {
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas element
+   */
+  constructor(canvas) {
+    const context = canvas.getContext('2d');
+    if (!context) {
+      throw new Error('Canvas 2D context is not available');
+    }
+
+    this.canvas = canvas;
+    this.context = context;
+    this.pixelRatio = 1;
+    this.lastFrame = -1;
+  }
+
+  /**
+   * Clear the canvas the first time it is drawn on in a frame
+   * @param {number} timestamp - Current frame timestamp
+   */
+  beginFrame(timestamp) {
+    if (timestamp === this.lastFrame) return;
+    this.lastFrame = timestamp;
+
+    this.resize();
+    this.clear();
+  }
+
+  /**
+   * Match the canvas backing store to the viewport and devicePixelRatio
+   */
+  resize() {
+    const pixelRatio = window.devicePixelRatio || 1;
+    const width = Math.round(window.innerWidth * pixelRatio);
+    const height = Math.round(window.innerHeight * pixelRatio);
+
+    if (
+      this.canvas.width !== width ||
+      this.canvas.height !== height ||
+      this.pixelRatio !== pixelRatio
+    ) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+      this.canvas.style.width = `${window.innerWidth}px`;
+      this.canvas.style.height = `${window.innerHeight}px`;
+      this.pixelRatio = pixelRatio;
+    }
+  }
+
+  /**
+   * Clear the canvas and draw in CSS pixels afterwards
+   */
+  clear() {
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+  }
+}
+
+/** @type {WeakMap<HTMLCanvasElement, CanvasSurface>} */
+const surfaces = new WeakMap();
+
+/**
+ * Get the shared surface of a canvas
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @returns {CanvasSurface}
+ */
+function getSurface(canvas) {
+  let surface = surfaces.get(canvas);
+  if (!surface) {
+    surface = new CanvasSurface(canvas);
+    surfaces.set(canvas, surface);
+  }
+  return surface;
+}
+
+/**
+ * Draws the rasterized logo image on a 2D canvas. The `<img>` element is
+ * only kept, hidden, as the image source.
+ */
+export class CanvasRenderer {
+  /**
+   * @param {HTMLElement} logo - The logo image element used as image source
+   * @param {Object} options - Renderer options
+   * @param {string} [options.canvasId='canvas'] - ID of the canvas, created if it does not exist
+   * @param {LogoArena|null} [options.arena=null] - Arena the position is normalized to, the window if omitted
+   */
+  constructor(logo, options = {}) {
+    const { canvasId = 'canvas', arena = null } = options;
+
+    if (!(logo instanceof HTMLImageElement)) {
+      throw new Error(`Logo element "${logo.id}" must be an image to draw on a canvas`);
+    }
+
+    this.logo = logo;
+    this.logo.classList.add('canvas-source');
+
+    // Image drawn on the canvas, replaced when the logo is recolored
+    this.image = logo;
+
+    let canvas = document.getElementById(canvasId);
+    if (!(canvas instanceof HTMLCanvasElement)) {
+      canvas = document.createElement('canvas');
+      canvas.id = canvasId;
+      document.body.insertBefore(canvas, document.body.firstChild);
+    }
+    this.surface = getSurface(/** @type {HTMLCanvasElement} */ (canvas));
+
+    // Position in normalized coordinates
+    this.arena = arena;
+    this.x = 0;
+    this.y = 0;
+    this.rotation = 0;
+    this.isGlowing = false;
+    this.isSubtleGlow = false;
+    this.opacity = 1;
+
+    // Sprites rasterized at the current size and pixel ratio
+    /** @type {{plain: HTMLCanvasElement, glow: HTMLCanvasElement}|null} */
+    this.sprites = null;
+    this.spriteKey = '';
+  }
+
+  /**
+   * Get the logo size from its configured width and the image aspect ratio
+   * @returns {{width: number, height: number}} Size in CSS pixels
+   */
+  measure() {
+    const width = parseFloat(this.logo.style.width) || 0;
+    const aspect = this.image.naturalWidth
+      ? this.image.naturalHeight / this.image.naturalWidth
+      : 0;
+    return { width, height: width * aspect };
+  }
+
+  /**
+   * Get the drawn logo center
+   * @returns {{x: number, y: number}} Center in window coordinates
+   */
+  getCenter() {
+    if (this.arena) return this.arena.toWindow(this.x, this.y);
+    return {
+      x: this.x + window.innerWidth / 2,
+      y: this.y + window.innerHeight / 2,
+    };
+  }
+
+  /**
+   * Set where the logo is drawn
+   * @param {number} x - Normalized X position
+   * @param {number} y - Normalized Y position
+   */
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Rotate the logo around its center
+   * @param {number} radians - Rotation, clockwise
+   */
+  setRotation(radians) {
+    this.rotation = radians;
+  }
+
+  /**
+   * Turn the glow effect on or off
+   * @param {boolean} isGlowing - Whether the logo glows
+   */
+  setGlow(isGlowing) {
+    this.isGlowing = isGlowing;
+  }
+
+  /**
+   * Use a softer glow
+   * @param {boolean} isSubtle - Whether the glow is subtle
+   */
+  setSubtleGlow(isSubtle) {
+    this.isSubtleGlow = isSubtle;
+  }
+
+  /**
+   * Fade the logo in or out
+   * @param {number} opacity - Opacity from 0 to 1
+   */
+  setOpacity(opacity) {
+    this.opacity = Math.max(0, Math.min(1, opacity));
+  }
+
+  /**
+   * Draw a different image, swapped in once it has loaded so nothing flickers
+   * @param {string} src - URL of the new image
+   */
+  setImageSource(src) {
+    const image = new Image();
+    image.addEventListener('load', () => {
+      this.image = image;
+      this.sprites = null;
+    });
+    image.src = src;
+  }
+
+  /**
+   * Rasterize the logo once per size and pixel ratio, with and without glow
+   * @param {number} width - Logo width in CSS pixels
+   * @param {number} height - Logo height in CSS pixels
+   * @param {number} pixelRatio - Device pixel ratio
+   */
+  updateSprites(width, height, pixelRatio) {
+    const key = `${width}x${height}@${pixelRatio}${this.isSubtleGlow ? '-subtle' : ''}`;
+    if (this.sprites && this.spriteKey === key) return;
+
+    const plain = document.createElement('canvas');
+    plain.width = Math.ceil(width * pixelRatio);
+    plain.height = Math.ceil(height * pixelRatio);
+    plain
+      .getContext('2d')
+      ?.drawImage(this.image, 0, 0, plain.width, plain.height);
+
+    const glow = document.createElement('canvas');
+    glow.width = Math.ceil((width + 2 * GLOW_PADDING) * pixelRatio);
+    glow.height = Math.ceil((height + 2 * GLOW_PADDING) * pixelRatio);
+    const glowContext = glow.getContext('2d');
+    if (glowContext) {
+      // shadowBlur ignores the transform, so it is scaled by hand
+      for (const layer of this.isSubtleGlow ? SUBTLE_GLOW_LAYERS : GLOW_LAYERS) {
+        glowContext.shadowBlur = layer.blur * pixelRatio;
+        glowContext.shadowColor = layer.color;
+        glowContext.drawImage(
+          plain,
+          GLOW_PADDING * pixelRatio,
+          GLOW_PADDING * pixelRatio
+        );
+      }
+    }
+
+    this.sprites = { plain, glow };
+    this.spriteKey = key;
+  }
+
+  /**
+   * Draw the logo for the current frame
+   * @param {number} timestamp - Current frame timestamp
+   */
+  render(timestamp) {
+    this.surface.beginFrame(timestamp);
+
+    const { width, height } = this.measure();
+    if (!this.image.complete || width <= 0 || height <= 0) return;
+
+    this.updateSprites(width, height, this.surface.pixelRatio);
+    if (!this.sprites) return;
+
+    const { x: centerX, y: centerY } = this.getCenter();
+    const padding = this.isGlowing ? GLOW_PADDING : 0;
+    const { context } = this.surface;
+
+    context.save();
+    context.globalAlpha = this.opacity;
+    context.translate(centerX, centerY);
+    context.rotate(this.rotation);
+    context.drawImage(
+      this.isGlowing ? this.sprites.glow : this.sprites.plain,
+      -width / 2 - padding,
+      -height / 2 - padding,
+      width + 2 * padding,
+      height + 2 * padding
+    );
+    context.restore();
+  }
+
+  /**
+   * Release renderer resources
+   */
+  destroy() {
+    this.surface.clear();
+    this.logo.classList.remove('canvas-source');
+    this.sprites = null;
+  }
+}
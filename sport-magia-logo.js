@@ -0,0 +1,215 @@
+// @ts-check
+
+import LogoAnimator from './logo-animator.js';
+
+/**
+ * @typedef {NonNullable<ConstructorParameters<typeof LogoAnimator>[1]>} LogoOptions
+ */
+
+/** Attributes the element reads its settings from */
+const OBSERVED_ATTRIBUTES = ['src', 'angle', 'duration', 'debug', 'keys', 'glow-duration'];
+
+/** Logo image used when the element has no `src` */
+const DEFAULT_SRC = 'LOGO-SPORTMAGIA2.svg';
+
+/**
+ * Styles of the logo inside the shadow root, the page's own styles do not
+ * reach it. The element itself is the arena, sized by the page.
+ */
+const STYLES = `
+  :host {
+    display: block;
+    position: relative;
+    overflow: hidden;
+    min-height: 150px;
+  }
+
+  :host([hidden]) {
+    display: none;
+  }
+
+  .logo {
+    position: absolute;
+    height: auto;
+    will-change: left, top;
+    transform-origin: center;
+    transform: translate(-50%, -50%);
+    left: var(--start-x);
+    top: var(--start-y);
+    transition: transform 0.3s ease-out;
+    pointer-events: none;
+  }
+
+  .logo.animate {
+    animation: move-to-target var(--animation-duration) linear forwards;
+  }
+
+  .logo.animate.paused {
+    animation-play-state: paused;
+  }
+
+  @keyframes move-to-target {
+    0% {
+      left: var(--start-x);
+      top: var(--start-y);
+    }
+    100% {
+      left: var(--target-x);
+      top: var(--target-y);
+    }
+  }
+
+  .logo.transform-motion {
+    will-change: transform;
+    transition: filter 0.3s ease-in-out;
+  }
+
+  .logo.glow {
+    filter: drop-shadow(0 0 15px rgba(255, 215, 0, 0.9))
+      drop-shadow(0 0 25px rgba(255, 140, 0, 0.6))
+      drop-shadow(0 0 35px rgba(255, 69, 0, 0.4));
+    transition: filter 0.3s ease-in-out;
+  }
+
+  .logo.subtle-glow {
+    transition: filter 1s ease-in-out;
+  }
+
+  .logo.glow.subtle-glow {
+    filter: drop-shadow(0 0 8px rgba(255, 215, 0, 0.5));
+  }
+`;
+
+/**
+ * `<sport-magia-logo>`: a logo bouncing inside the element, to drop into any page.
+ * Settings come from the `src`, `angle`, `duration`, `debug`, `keys` and
+ * `glow-duration` attributes and can be changed while it runs. Keyboard
+ * shortcuts act on the whole page, so only elements with `keys` take them.
+ *
+ * @example
+ * <sport-magia-logo src="LOGO-SPORTMAGIA.svg" angle="-40" duration="8"></sport-magia-logo>
+ */
+class SportMagiaLogo extends HTMLElement {
+  static get observedAttributes() {
+    return OBSERVED_ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+
+    const shadow = this.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    this.image = document.createElement('img');
+    this.image.alt = 'SportMagia logo';
+    this.image.setAttribute('part', 'logo');
+    this.image.src = this.getAttribute('src') || DEFAULT_SRC;
+
+    shadow.append(style, this.image);
+
+    /** @type {LogoAnimator|null} */
+    this.animator = null;
+  }
+
+  /**
+   * Read the animator options from the attributes, invalid values are left
+   * out so the animator defaults apply
+   * @returns {LogoOptions}
+   */
+  readOptions() {
+    /** @type {LogoOptions} */
+    const options = {
+      arena: this,
+      debug: this.hasAttribute('debug'),
+      keys: this.hasAttribute('keys'),
+    };
+
+    for (const [name, option] of /** @type {const} */ ([
+      ['angle', 'angle'],
+      ['duration', 'traversalDuration'],
+      ['glow-duration', 'glowDuration'],
+    ])) {
+      const value = this.getAttribute(name);
+      if (value === null) continue;
+
+      const number = Number(value);
+      const isValid =
+        value.trim() !== '' &&
+        Number.isFinite(number) &&
+        (name === 'angle' || number > 0);
+      if (!isValid) {
+        console.warn(`<sport-magia-logo> ignores ${name}="${value}"`);
+        continue;
+      }
+      options[option] = number;
+    }
+
+    return options;
+  }
+
+  /**
+   * Start a new animator with the current attributes
+   */
+  start() {
+    this.animator = new LogoAnimator(this.image, this.readOptions());
+    this.animator.initialize();
+  }
+
+  /**
+   * Stop the animator and release its listeners
+   */
+  stop() {
+    if (!this.animator) return;
+    this.animator.cleanup();
+    this.animator = null;
+  }
+
+  connectedCallback() {
+    if (!this.animator) this.start();
+  }
+
+  disconnectedCallback() {
+    this.stop();
+  }
+
+  /**
+   * Apply a changed attribute to the running animator
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    if (name === 'src') {
+      this.image.src = newValue || DEFAULT_SRC;
+      return;
+    }
+
+    const { animator } = this;
+    if (!animator) return;
+
+    const { angle, traversalDuration, glowDuration } = this.readOptions();
+
+    if (name === 'angle' && angle !== undefined) {
+      animator.setAngle(angle);
+    } else if (name === 'duration' && traversalDuration !== undefined) {
+      animator.setTraversalDuration(traversalDuration);
+    } else if (name === 'glow-duration' && glowDuration !== undefined) {
+      animator.glowDuration = glowDuration;
+    } else {
+      // Removed values go back to the defaults and the debugger and the
+      // keymap are set up with the animator, all need a new one
+      this.stop();
+      this.start();
+    }
+  }
+}
+
+if (!customElements.get('sport-magia-logo')) {
+  customElements.define('sport-magia-logo', SportMagiaLogo);
+}
+
+export default SportMagiaLogo;